@@ -17,7 +17,9 @@ app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
 // Middleware
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Communities filled from a plant spreadsheet post 3 fields per plant,
+// above the default limit of 1000 form parameters
+app.use(express.urlencoded({ extended: true, limit: '10mb', parameterLimit: 10000 }));
 app.use(express.json({ limit: '10mb' }));
 
 // Static files
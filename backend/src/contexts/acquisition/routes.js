@@ -5,13 +5,42 @@
  * - GET /: Main form page
  * - POST /community/add: Add community form fragment (HTMX)
  * - POST /plant/add/:communityIndex: Add plant form fragment (HTMX)
+ * - POST /plant/import/:communityIndex: Preview plants from a CSV/XLSX spreadsheet (HTMX)
+ * - POST /plant/import/:communityIndex/add: Add the valid spreadsheet plants (HTMX)
+ * - GET /suggest/:field: Autocomplete options for community and plant fields (HTMX)
+ * - POST /citation/parse: Prefill reference fields from a pasted citation (HTMX)
+ * - POST /doi/resolve: Prefill reference fields from the DOI metadata (HTMX)
+ * - POST /duplicates/check: Warn about possible duplicates of the reference being entered (HTMX)
  * - POST /reference/submit: Submit complete reference
+ * - GET /import: Bulk JSON import page
+ * - POST /import: Import a JSON array of references and report rejected records
  */
 
 const express = require('express');
 const router = express.Router();
 const { validateReference } = require('../../services/validation');
-const { insertReference } = require('../../services/database');
+const {
+  insertReference,
+  suggestValues,
+  SUGGESTION_FIELDS
+} = require('../../services/database');
+const {
+  parseFormData,
+  filterEmptyPlants,
+  parseCommaSeparated,
+  formatAuthorABNT
+} = require('../../services/referenceInput');
+const {
+  IMPORT_LIMIT,
+  parseImportFile,
+  importReferences,
+  buildImportReport
+} = require('../../services/importer');
+const { previewPlantImport } = require('../../services/spreadsheet');
+const { parseCitation } = require('../../services/citationParser');
+const { resolveDoi } = require('../../services/doiResolver');
+const { findPossibleDuplicates } = require('../../services/duplicates');
+const { Status } = require('../../models/Reference');
 const logger = require('../../shared/logger');
 
 /**
@@ -80,7 +109,11 @@ router.post('/plant/add/:communityIndex', (req, res) => {
         name="comunidades[${communityIndex}][plantas][${plantIndex}][nomeCientifico]"
         class="form-input text-sm"
         placeholder="Foeniculum vulgare, Bidens pilosa L."
+        list="sugestoes-${communityIndex}-${plantIndex}-nomeCientifico"
+        autocomplete="off"
+        @input.debounce.300ms="htmx.ajax('GET', '/suggest/planta', { target: '#sugestoes-${communityIndex}-${plantIndex}-nomeCientifico', swap: 'innerHTML', values: { q: $el.value, lista: 1 } })"
       >
+      <datalist id="sugestoes-${communityIndex}-${plantIndex}-nomeCientifico"></datalist>
     </div>
 
     <!-- Vernacular Name -->
@@ -95,7 +128,11 @@ router.post('/plant/add/:communityIndex', (req, res) => {
         name="comunidades[${communityIndex}][plantas][${plantIndex}][nomeVernacular]"
         class="form-input text-sm"
         placeholder="erva-doce, picão, jiçara"
+        list="sugestoes-${communityIndex}-${plantIndex}-nomeVernacular"
+        autocomplete="off"
+        @input.debounce.300ms="htmx.ajax('GET', '/suggest/planta', { target: '#sugestoes-${communityIndex}-${plantIndex}-nomeVernacular', swap: 'innerHTML', values: { q: $el.value, lista: 1 } })"
       >
+      <datalist id="sugestoes-${communityIndex}-${plantIndex}-nomeVernacular"></datalist>
     </div>
 
     <p class="text-xs text-gray-600 italic">* Pelo menos um nome (científico ou vernacular) é obrigatório</p>
@@ -121,6 +158,198 @@ router.post('/plant/add/:communityIndex', (req, res) => {
   res.send(html);
 });
 
+/**
+ * POST /plant/import/:communityIndex - Spreadsheet import preview (HTMX)
+ * Body: arquivo (data URL) + nomeArquivo on upload, or planilha + one
+ * column index per plant field when the mapping changes
+ * Returns the column mapping and the rows flagged by validatePlant
+ */
+router.post('/plant/import/:communityIndex', (req, res) => {
+  const communityIndex = parseInt(req.params.communityIndex) || 0;
+  const preview = previewPlantImport(req.body, communityIndex);
+
+  logger.acquisition(
+    `Plant spreadsheet preview for community #${communityIndex}: ` +
+    (preview.isValid ? `${preview.validas} of ${preview.linhas.length} rows valid` : preview.errors.join('; '))
+  );
+
+  // Errors are part of the fragment (HTMX does not swap 4xx responses)
+  res.render('../../../shared/views/partials/plant-import', {
+    preview,
+    importUrl: `/plant/import/${communityIndex}`,
+    communityIndex
+  });
+});
+
+/**
+ * POST /plant/import/:communityIndex/add - Plant form fragments for the
+ * valid spreadsheet rows (HTMX), numbered from plantIndex
+ */
+router.post('/plant/import/:communityIndex/add', (req, res) => {
+  const communityIndex = parseInt(req.params.communityIndex) || 0;
+  const startIndex = parseInt(req.body.plantIndex) || 0;
+  const preview = previewPlantImport(req.body, communityIndex);
+
+  if (!preview.isValid) {
+    return res.status(400).send('');
+  }
+
+  const plantas = preview.linhas.filter(row => row.isValid).map(row => row.planta);
+
+  logger.acquisition(`Adding ${plantas.length} spreadsheet plants to community #${communityIndex} from plant #${startIndex}`);
+
+  res.render('partials/imported-plants', { communityIndex, startIndex, plantas });
+});
+
+/**
+ * GET /suggest/:field - Autocomplete options for the data entry form (HTMX)
+ * Fields: planta, municipio, comunidade (values from non-rejected references)
+ * Query parameters:
+ * - q: Text typed in the input
+ * - lista: "1" for comma-separated inputs; only the last item is completed
+ *   and each option keeps the items already typed
+ * Returns <option> elements for a <datalist>
+ */
+router.get('/suggest/:field', async (req, res) => {
+  const field = req.params.field;
+
+  if (!Object.prototype.hasOwnProperty.call(SUGGESTION_FIELDS, field)) {
+    return res.status(404).send('');
+  }
+
+  const typed = typeof req.query.q === 'string' ? req.query.q : '';
+  const items = req.query.lista === '1' ? typed.split(',') : [typed];
+  const prefix = items.pop().trim();
+  const previous = items.map(item => item.trim()).filter(Boolean);
+
+  try {
+    // Very short prefixes would match most of the collection
+    const values = prefix.length >= 2
+      ? await suggestValues(field, prefix, { filter: { status: { $ne: Status.REJECTED } } })
+      : [];
+
+    res.render('partials/suggestions', {
+      suggestions: values.map(value => ({
+        value: [...previous, value].join(', '),
+        label: value
+      }))
+    });
+
+  } catch (error) {
+    logger.error(`Suggestions for ${field} failed:`, error.message);
+    res.status(500).send('');
+  }
+});
+
+/**
+ * POST /citation/parse - Prefill the reference fields from a pasted citation (HTMX)
+ * Body: citacao (BibTeX, RIS, ABNT or APA) plus the current form fields;
+ * fields found in the citation replace the current values, the others are kept
+ * Returns the reference fields fragment with a status message
+ */
+router.post('/citation/parse', (req, res) => {
+  const citation = parseCitation(req.body.citacao);
+  const formData = {
+    titulo: req.body.titulo || '',
+    autores: req.body.autores || '',
+    ano: req.body.ano || '',
+    resumo: req.body.resumo || '',
+    DOI: req.body.DOI || ''
+  };
+
+  if (citation.isValid) {
+    const { titulo, autores, ano, resumo, DOI } = citation.reference;
+
+    if (titulo) formData.titulo = titulo;
+    if (autores.length > 0) formData.autores = autores.join(', ');
+    if (ano) formData.ano = ano;
+    if (resumo) formData.resumo = resumo;
+    if (DOI) formData.DOI = DOI;
+  }
+
+  logger.acquisition(
+    citation.isValid
+      ? `Citation parsed (${citation.formato}): ${citation.encontrados.join(', ')}`
+      : `Citation not recognized: ${citation.errors.join('; ')}`
+  );
+
+  res.render('partials/reference-fields', { formData, citation });
+});
+
+/**
+ * POST /doi/resolve - Prefill the reference fields from the DOI metadata (HTMX)
+ * Body: the current form fields (DOI included); substituir=1 replaces fields
+ * already filled, otherwise only empty fields are filled
+ * Returns the reference fields fragment with a status message
+ */
+router.post('/doi/resolve', async (req, res) => {
+  const formData = {
+    titulo: req.body.titulo || '',
+    autores: req.body.autores || '',
+    ano: req.body.ano || '',
+    resumo: req.body.resumo || '',
+    DOI: req.body.DOI || ''
+  };
+  const replace = req.body.substituir === '1';
+
+  const result = await resolveDoi(formData.DOI);
+
+  if (result.DOI) {
+    formData.DOI = result.DOI;
+  }
+
+  const labels = { titulo: 'título', autores: 'autores', ano: 'ano', resumo: 'resumo' };
+  const encontrados = [];
+
+  if (result.isValid) {
+    const values = { ...result.reference, autores: result.reference.autores.join(', ') };
+
+    Object.keys(labels).forEach(field => {
+      if (values[field] && (replace || !String(formData[field]).trim())) {
+        formData[field] = values[field];
+        encontrados.push(labels[field]);
+      }
+    });
+  }
+
+  res.render('partials/reference-fields', {
+    formData,
+    doiLookup: { ...result, encontrados }
+  });
+});
+
+/**
+ * POST /duplicates/check - Warn about possible duplicates (HTMX)
+ * Body: titulo, autores, ano, DOI of the reference being entered
+ * Compares with all references (any status): same DOI, or similar title,
+ * year and first author. The warning does not block submission.
+ * Returns the duplicate warnings fragment (empty when nothing was found)
+ */
+router.post('/duplicates/check', async (req, res) => {
+  const reference = {
+    titulo: (req.body.titulo || '').trim(),
+    autores: parseCommaSeparated(req.body.autores).map(formatAuthorABNT),
+    ano: parseInt(req.body.ano) || 0,
+    DOI: (req.body.DOI || '').trim()
+  };
+  let duplicados = [];
+
+  // Short titles match too many references to be meaningful
+  if (reference.DOI || (reference.titulo.length >= 10 && reference.ano > 0)) {
+    try {
+      duplicados = await findPossibleDuplicates(reference);
+    } catch (error) {
+      logger.error('Error checking duplicates:', error.message);
+    }
+  }
+
+  if (duplicados.length > 0) {
+    logger.acquisition(`Found ${duplicados.length} possible duplicates of "${reference.titulo}"`);
+  }
+
+  res.render('partials/duplicate-warnings', { duplicados });
+});
+
 /**
  * POST /reference/submit - Submit complete reference
  */
@@ -182,255 +411,60 @@ router.post('/reference/submit', async (req, res) => {
 });
 
 /**
- * Filter out empty plants (plants without any names)
- * @param {Array} plantas - Array of plants
- * @returns {Array} Filtered array of plants
- */
-function filterEmptyPlants(plantas) {
-  return plantas.filter(plant => {
-    const hasScientificName = Array.isArray(plant.nomeCientifico) &&
-      plant.nomeCientifico.some(n => n && typeof n === 'string' && n.trim().length > 0);
-
-    const hasVernacularName = Array.isArray(plant.nomeVernacular) &&
-      plant.nomeVernacular.some(n => n && typeof n === 'string' && n.trim().length > 0);
-
-    return hasScientificName || hasVernacularName;
-  });
-}
-
-/**
- * Parse form data into reference structure
- * Handles nested arrays from HTML form (comunidades[0][plantas][0][field])
- * Converts comma-separated strings to arrays
- */
-function parseFormData(formData) {
-  // Check if comunidades is already parsed as JSON array
-  if (Array.isArray(formData.comunidades)) {
-
-    // Data is already in the correct format (sent as JSON)
-    const reference = {
-      titulo: formData.titulo?.trim() || '',
-      autores: parseCommaSeparated(formData.autores).map(formatAuthorABNT),
-      ano: parseInt(formData.ano) || 0,
-      resumo: formData.resumo?.trim() || '',
-      DOI: formData.DOI?.trim() || '',
-      comunidades: formData.comunidades.map(com => ({
-        nome: com.nome?.trim() || '',
-        tipo: com.tipo?.trim() || '',
-        municipio: com.municipio?.trim() || '',
-        estado: formatStateName(com.estado || ''),
-        local: com.local?.trim() || '',
-        atividadesEconomicas: Array.isArray(com.atividadesEconomicas)
-          ? com.atividadesEconomicas
-          : parseCommaSeparated(com.atividadesEconomicas),
-        observacoes: com.observacoes?.trim() || '',
-        plantas: (com.plantas || []).map(p => ({
-          nomeCientifico: Array.isArray(p.nomeCientifico)
-            ? p.nomeCientifico
-            : parseCommaSeparated(p.nomeCientifico),
-          nomeVernacular: (Array.isArray(p.nomeVernacular)
-            ? p.nomeVernacular
-            : parseCommaSeparated(p.nomeVernacular)).map(formatVernacularName),
-          tipoUso: Array.isArray(p.tipoUso)
-            ? p.tipoUso
-            : parseCommaSeparated(p.tipoUso)
-        }))  // Don't filter here - let validation catch empty plants
-      }))
-    };
-
-    return reference;
-  }
-
-  // Original parsing for form-urlencoded format
-  const reference = {
-    titulo: formData.titulo?.trim() || '',
-    autores: parseCommaSeparated(formData.autores).map(formatAuthorABNT),
-    ano: parseInt(formData.ano) || 0,
-    resumo: formData.resumo?.trim() || '',
-    DOI: formData.DOI?.trim() || '',
-    comunidades: []
-  };
-
-  // Parse communities (nested structure)
-  const comunidadesData = {};
-
-  // Extract all community-related fields from flat form data
-  Object.keys(formData).forEach(key => {
-    const match = key.match(/^comunidades\[(\d+)\]\[(.+)\]$/);
-    if (match) {
-      const [, index, field] = match;
-      const idx = parseInt(index);
-
-      if (!comunidadesData[idx]) {
-        comunidadesData[idx] = { plantas: {} };
-      }
-
-      // Check if it's a plant field
-      const plantMatch = field.match(/^plantas\]\[(\d+)\]\[(.+)$/);
-      if (plantMatch) {
-        const [, plantIndex, plantField] = plantMatch;
-        const pIdx = parseInt(plantIndex);
-
-        if (!comunidadesData[idx].plantas[pIdx]) {
-          comunidadesData[idx].plantas[pIdx] = {};
-        }
-
-        comunidadesData[idx].plantas[pIdx][plantField] = formData[key];
-      } else {
-        // Community field
-        comunidadesData[idx][field] = formData[key];
-      }
-    }
-  });
-
-  // Convert to array structure
-  Object.keys(comunidadesData).sort().forEach(idx => {
-    const comunidade = comunidadesData[idx];
-
-    // Parse plants array
-    const plantas = [];
-    Object.keys(comunidade.plantas).sort().forEach(pIdx => {
-      const plant = comunidade.plantas[pIdx];
-
-      plantas.push({
-        nomeCientifico: parseCommaSeparated(plant.nomeCientifico),
-        nomeVernacular: parseCommaSeparated(plant.nomeVernacular).map(formatVernacularName),
-        tipoUso: parseCommaSeparated(plant.tipoUso)
-      });
-    });
-
-    reference.comunidades.push({
-      nome: comunidade.nome?.trim() || '',
-      tipo: comunidade.tipo?.trim() || '',
-      municipio: comunidade.municipio?.trim() || '',
-      estado: formatStateName(comunidade.estado || ''),
-      local: comunidade.local?.trim() || '',
-      atividadesEconomicas: parseCommaSeparated(comunidade.atividadesEconomicas),
-      observacoes: comunidade.observacoes?.trim() || '',
-      plantas: plantas  // Don't filter here - let validation catch empty plants
-    });
-  });
-
-  return reference;
-}
-
-/**
- * Convert comma-separated string to array
- * @param {string} str - Comma-separated string
- * @returns {Array<string>} Array of trimmed strings
+ * Locals shared by every render of the import page
  */
-function parseCommaSeparated(str) {
-  if (!str || typeof str !== 'string') return [];
-
-  return str
-    .split(',')
-    .map(item => item.trim())
-    .filter(item => item.length > 0);
-}
+const importPage = {
+  pageTitle: 'Importação em Lote',
+  contextName: 'Entrada de Dados Etnobotânicos',
+  contextDescription: 'Importação de referências a partir de arquivo JSON',
+  showNavigation: true,
+  importLimit: IMPORT_LIMIT,
+  errors: null,
+  result: null,
+  reportUrl: null
+};
 
 /**
- * Format vernacular names to lowercase with hyphens
- * @param {string} name - Vernacular name
- * @returns {string} Formatted vernacular name
+ * GET /import - Bulk import page (JSON array of references)
  */
-function formatVernacularName(name) {
-  if (!name || typeof name !== 'string') return '';
-
-  return name
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '-');
-}
+router.get('/import', (req, res) => {
+  res.render('import', importPage);
+});
 
 /**
- * Convert state abbreviation to full name
- * @param {string} state - State abbreviation or full name
- * @returns {string} Full state name
+ * POST /import - Import a JSON array of references
+ * Body: conteudo (JSON text, read from the chosen file by the page),
+ * validar ("1" to validate without inserting)
+ * Valid records are inserted as pending; the report of rejected records
+ * is offered as a JSON download
  */
-function formatStateName(state) {
-  if (!state || typeof state !== 'string') return '';
-
-  const stateMap = {
-    'AC': 'Acre',
-    'AL': 'Alagoas',
-    'AP': 'Amapá',
-    'AM': 'Amazonas',
-    'BA': 'Bahia',
-    'CE': 'Ceará',
-    'DF': 'Distrito Federal',
-    'ES': 'Espírito Santo',
-    'GO': 'Goiás',
-    'MA': 'Maranhão',
-    'MT': 'Mato Grosso',
-    'MS': 'Mato Grosso do Sul',
-    'MG': 'Minas Gerais',
-    'PA': 'Pará',
-    'PB': 'Paraíba',
-    'PR': 'Paraná',
-    'PE': 'Pernambuco',
-    'PI': 'Piauí',
-    'RJ': 'Rio de Janeiro',
-    'RN': 'Rio Grande do Norte',
-    'RS': 'Rio Grande do Sul',
-    'RO': 'Rondônia',
-    'RR': 'Roraima',
-    'SC': 'Santa Catarina',
-    'SP': 'São Paulo',
-    'SE': 'Sergipe',
-    'TO': 'Tocantins'
-  };
+router.post('/import', async (req, res) => {
+  const dryRun = req.body.validar === '1';
 
-  const trimmed = state.trim().toUpperCase();
+  const parsed = parseImportFile(req.body.conteudo);
 
-  // If it's a known abbreviation, convert it
-  if (stateMap[trimmed]) {
-    return stateMap[trimmed];
+  if (!parsed.isValid) {
+    logger.acquisition(`Import rejected: ${parsed.errors.join('; ')}`);
+    return res.status(400).render('import', { ...importPage, errors: parsed.errors });
   }
 
-  // Otherwise, return as-is (might already be full name)
-  return state.trim();
-}
-
-/**
- * Convert author name to ABNT format
- * Format: SOBRENOME, N.
- * @param {string} author - Author name in any format
- * @returns {string} Author name in ABNT format
- */
-function formatAuthorABNT(author) {
-  if (!author || typeof author !== 'string') return '';
-
-  author = author.trim();
-  if (author.length === 0) return '';
-
-  // Check if already in format "SOBRENOME, Nome" or "Sobrenome, Nome"
-  if (author.includes(',')) {
-    const [lastName, firstName] = author.split(',').map(part => part.trim());
+  try {
+    logger.acquisition(`Importing ${parsed.records.length} references${dryRun ? ' (validation only)' : ''}`);
 
-    if (!firstName || firstName.length === 0) {
-      // Only last name provided
-      return lastName.toUpperCase();
-    }
+    const result = await importReferences(parsed.records, { dryRun });
+    const report = JSON.stringify(buildImportReport(result), null, 2);
 
-    // Extract first letter of first name
-    const firstInitial = firstName.charAt(0).toUpperCase();
-    return `${lastName.toUpperCase()}, ${firstInitial}.`;
-  }
+    res.render('import', {
+      ...importPage,
+      result: { ...result, dryRun },
+      reportUrl: `data:application/json;charset=utf-8;base64,${Buffer.from(report).toString('base64')}`
+    });
 
-  // Format: "Nome Sobrenome" - need to reverse
-  const parts = author.split(/\s+/).filter(p => p.length > 0);
+  } catch (error) {
+    logger.error('Import failed:', error.message);
 
-  if (parts.length === 1) {
-    // Only one word - treat as last name
-    return parts[0].toUpperCase();
+    res.status(500).render('import', { ...importPage, errors: ['Erro ao importar: ' + error.message] });
   }
-
-  // Last part is the last name, rest is first names
-  const lastName = parts[parts.length - 1];
-  const firstNames = parts.slice(0, -1);
-  const firstInitial = firstNames[0].charAt(0).toUpperCase();
-
-  return `${lastName.toUpperCase()}, ${firstInitial}.`;
-}
+});
 
 module.exports = router;
@@ -3,17 +3,21 @@
  *
  * Routes for data curation workflow:
  * - GET /: List all references with status filter
- * - GET /reference/edit/:id: Edit reference form
+ * - GET /reference/edit/:id: Edit reference form (with possible duplicates)
  * - PUT /reference/update/:id: Update reference content
  * - POST /reference/status/:id: Update reference status only
  * - POST /reference/:id/community/add: Add community fragment (HTMX)
  * - POST /reference/:id/plant/add/:communityIndex: Add plant fragment (HTMX)
+ * - POST /reference/:id/plant/import/:communityIndex: Preview plants from a CSV/XLSX spreadsheet (HTMX)
+ * - POST /reference/:id/plant/import/:communityIndex/add: Add the valid spreadsheet plants (HTMX)
  */
 
 const express = require('express');
 const router = express.Router();
 const { findReferences, findReferenceById, updateReferenceById, updateReferenceStatus } = require('../../services/database');
 const { validateReference } = require('../../services/validation');
+const { previewPlantImport } = require('../../services/spreadsheet');
+const { findPossibleDuplicates } = require('../../services/duplicates');
 const { Status } = require('../../models/Reference');
 const logger = require('../../shared/logger');
 
@@ -113,12 +117,21 @@ router.get('/reference/edit/:id', async (req, res) => {
     logger.curation(`Reference has ${reference.comunidades.length} communities`);
     logger.curation(`Reference title: ${reference.titulo}`);
 
+    // The duplicates panel is informative; a failed lookup must not block editing
+    let duplicates = [];
+    try {
+      duplicates = await findPossibleDuplicates(reference, { excludeId: reference._id });
+    } catch (error) {
+      logger.error(`Failed to find duplicates of reference ${req.params.id}:`, error.message);
+    }
+
     res.render('edit', {
       pageTitle: 'Editar Referência',
       contextName: 'Curadoria de Dados Etnobotânicos',
       contextDescription: 'Edição de referência científica',
       showNavigation: true,
       reference,
+      duplicates,
       errors: null
     });
 
@@ -369,6 +382,48 @@ router.post('/reference/:id/plant/add/:communityIndex', (req, res) => {
   res.send(html);
 });
 
+/**
+ * POST /reference/:id/plant/import/:communityIndex - Spreadsheet import preview (HTMX)
+ * Body: arquivo (data URL) + nomeArquivo on upload, or planilha + one
+ * column index per plant field when the mapping changes
+ */
+router.post('/reference/:id/plant/import/:communityIndex', (req, res) => {
+  const communityIndex = parseInt(req.params.communityIndex) || 0;
+  const preview = previewPlantImport(req.body, communityIndex);
+
+  logger.curation(
+    `Plant spreadsheet preview for community #${communityIndex}: ` +
+    (preview.isValid ? `${preview.validas} of ${preview.linhas.length} rows valid` : preview.errors.join('; '))
+  );
+
+  // Errors are part of the fragment (HTMX does not swap 4xx responses)
+  res.render('../../../shared/views/partials/plant-import', {
+    preview,
+    importUrl: `/reference/${encodeURIComponent(req.params.id)}/plant/import/${communityIndex}`,
+    communityIndex
+  });
+});
+
+/**
+ * POST /reference/:id/plant/import/:communityIndex/add - Plant form fragments
+ * for the valid spreadsheet rows (HTMX), numbered from plantIndex
+ */
+router.post('/reference/:id/plant/import/:communityIndex/add', (req, res) => {
+  const communityIndex = parseInt(req.params.communityIndex) || 0;
+  const startIndex = parseInt(req.body.plantIndex) || 0;
+  const preview = previewPlantImport(req.body, communityIndex);
+
+  if (!preview.isValid) {
+    return res.status(400).send('');
+  }
+
+  const plantas = preview.linhas.filter(row => row.isValid).map(row => row.planta);
+
+  logger.curation(`Adding ${plantas.length} spreadsheet plants to community #${communityIndex} from plant #${startIndex}`);
+
+  res.render('partials/imported-plants', { communityIndex, startIndex, plantas });
+});
+
 /**
  * Filter out empty plants (plants without any names)
  * @param {Array} plantas - Array of plants
@@ -0,0 +1,158 @@
+/**
+ * Presentation Context JSON API (v1)
+ *
+ * Read-only access to approved references for scripts and analysis tools:
+ * - GET /api/v1/references: Search with the same filters as the search page
+ * - GET /api/v1/references/:id: Single approved reference
+ * - GET /api/v1/references/:id/related: References sharing species, community type or estado
+ * - GET /api/v1/statistics: Aggregate figures shown on /statistics
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  searchReferences,
+  findReferencesAfter,
+  decodeAfterToken,
+  keysetSort,
+  findApprovedReferenceById,
+  findRelatedReferences,
+  getStatistics
+} = require('../../services/database');
+const {
+  parseSearchParams,
+  validateSearchFilters,
+  buildSearchQuery,
+  buildSearchSort
+} = require('../../services/search');
+const logger = require('../../shared/logger');
+
+/**
+ * GET /references - Search approved references
+ * Query parameters: q, tipo, comunidade, planta, estado, municipio, uso, ano,
+ * anoDe, anoAte, autor, comDoi, ordem, page, limit, after
+ * Response (page mode): { references, total, page, limit, totalPages, next, facets }
+ * Response (cursor mode, with "after"): { references, limit, next }
+ * "next" is the opaque token for the following page (absent/null on the last
+ * one); cursor mode skips the count and stays consistent while records are approved
+ */
+router.get('/references', async (req, res) => {
+  try {
+    const { filters, page, limit } = parseSearchParams(req.query);
+
+    // Query syntax errors are client errors
+    const validation = validateSearchFilters(filters);
+    if (!validation.isValid) {
+      return res.status(400).json({ error: validation.errors.join('; ') });
+    }
+
+    const query = buildSearchQuery(filters);
+
+    logger.presentation('API search query:', JSON.stringify(query));
+
+    if (req.query.after) {
+      // Relevance order has no keyset; cursor mode then lists newest first
+      const sort = keysetSort(buildSearchSort(filters));
+
+      if (!decodeAfterToken(req.query.after, sort)) {
+        return res.status(400).json({ error: 'Cursor de paginação inválido' });
+      }
+
+      const result = await findReferencesAfter(query, { sort, limit, after: req.query.after });
+
+      return res.json({
+        ...result,
+        references: result.references.map(toPublicReference)
+      });
+    }
+
+    const searchResult = await searchReferences(query, page, limit, {
+      facets: true,
+      sort: buildSearchSort(filters)
+    });
+
+    res.json({
+      ...searchResult,
+      references: searchResult.references.map(toPublicReference)
+    });
+  } catch (error) {
+    logger.error('API search failed:', error.message);
+
+    res.status(500).json({ error: 'Erro ao realizar busca: ' + error.message });
+  }
+});
+
+/**
+ * GET /references/:id - Single approved reference
+ * Pending, rejected and unknown IDs all return 404
+ */
+router.get('/references/:id', async (req, res) => {
+  try {
+    const reference = await findApprovedReferenceById(req.params.id);
+
+    if (!reference) {
+      return res.status(404).json({ error: 'Referência não encontrada' });
+    }
+
+    res.json(toPublicReference(reference));
+  } catch (error) {
+    logger.error(`API failed to load reference ${req.params.id}:`, error.message);
+
+    res.status(500).json({ error: 'Erro ao carregar referência: ' + error.message });
+  }
+});
+
+/**
+ * GET /references/:id/related - Approved references related to one reference
+ * Query parameters: limit (default: 5, max: 20)
+ * Response: { references: [{ _id, titulo, autores, ano, score, shared, reasons }] }
+ */
+router.get('/references/:id/related', async (req, res) => {
+  try {
+    const reference = await findApprovedReferenceById(req.params.id);
+
+    if (!reference) {
+      return res.status(404).json({ error: 'Referência não encontrada' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    res.json({ references: await findRelatedReferences(reference, { limit }) });
+  } catch (error) {
+    logger.error(`API failed to load references related to ${req.params.id}:`, error.message);
+
+    res.status(500).json({ error: 'Erro ao buscar referências relacionadas: ' + error.message });
+  }
+});
+
+/**
+ * GET /statistics - Aggregate figures of the approved dataset
+ * Response: same object rendered by the statistics page
+ */
+router.get('/statistics', async (req, res) => {
+  try {
+    res.json(await getStatistics());
+  } catch (error) {
+    logger.error('API statistics failed:', error.message);
+
+    res.status(500).json({ error: 'Erro ao carregar estatísticas: ' + error.message });
+  }
+});
+
+/**
+ * Remove internal fields (normalized "busca" search field) from API output
+ * @param {Object} reference - Reference document
+ * @returns {Object} Public reference
+ */
+function toPublicReference(reference) {
+  const publicReference = { ...reference };
+  delete publicReference.busca;
+  return publicReference;
+}
+
+// Unknown API endpoints answer in JSON instead of the HTML error page
+router.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint não encontrado' });
+});
+
+module.exports = router;
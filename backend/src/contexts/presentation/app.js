@@ -9,6 +9,8 @@ const express = require('express');
 const path = require('path');
 const config = require('../../shared/config');
 const logger = require('../../shared/logger');
+const { toQueryString, highlight, SortOptions } = require('../../services/search');
+const { formatABNT } = require('../../services/citation');
 
 const app = express();
 
@@ -16,6 +18,12 @@ const app = express();
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// View helpers
+app.locals.toQueryString = toQueryString;
+app.locals.formatABNT = formatABNT;
+app.locals.highlight = highlight;
+app.locals.sortOptions = SortOptions;
+
 // Middleware
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -33,6 +41,12 @@ app.use((req, res, next) => {
 
 // Import routes
 const routes = require('./routes');
+const api = require('./api');
+const geo = require('./geo');
+const oai = require('./oai');
+app.use('/api/v1', api);
+app.use('/api/geo', geo);
+app.use('/oai', oai);
 app.use('/', routes);
 
 // 404 handler
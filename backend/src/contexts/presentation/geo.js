@@ -0,0 +1,70 @@
+/**
+ * Presentation Context Geo API
+ *
+ * Community locations for the map view:
+ * - GET /api/geo/communities.geojson: Communities of the current search as GeoJSON points
+ */
+
+const express = require('express');
+const router = express.Router();
+const { streamReferences } = require('../../services/database');
+const { parseSearchParams, validateSearchFilters, buildSearchQuery } = require('../../services/search');
+const { writeCommunitiesGeoJSON } = require('../../services/geo');
+const { getBaseUrl } = require('../../shared/utils/url');
+const logger = require('../../shared/logger');
+
+/**
+ * GET /communities.geojson - One point per community of the matching references
+ * Accepts the same filters as the search page. Points are municipality
+ * centroids from the offline IBGE table (state centroid when only the
+ * state is known); properties.precisao tells which one was used
+ */
+router.get('/communities.geojson', async (req, res) => {
+  const { filters } = parseSearchParams(req.query);
+  const validation = validateSearchFilters(filters);
+
+  if (!validation.isValid) {
+    return res.status(400).json({ error: validation.errors.join('; ') });
+  }
+
+  const query = buildSearchQuery(filters);
+
+  logger.presentation('GeoJSON query:', JSON.stringify(query));
+
+  const cursor = streamReferences(query, {
+    projection: {
+      titulo: 1,
+      ano: 1,
+      'comunidades.nome': 1,
+      'comunidades.tipo': 1,
+      'comunidades.municipio': 1,
+      'comunidades.estado': 1,
+      'comunidades.plantas.nomeCientifico': 1
+    }
+  });
+
+  try {
+    res.set('Content-Type', 'application/geo+json; charset=utf-8');
+
+    await writeCommunitiesGeoJSON(cursor, res, { baseUrl: getBaseUrl() });
+    res.end();
+
+  } catch (error) {
+    logger.error('GeoJSON export failed:', error.message);
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Erro ao gerar mapa: ' + error.message });
+    }
+  } finally {
+    await cursor.close();
+  }
+});
+
+// Unknown geo endpoints answer in JSON instead of the HTML error page
+router.use((req, res) => {
+  res.status(404).json({ error: 'Endpoint não encontrado' });
+});
+
+module.exports = router;
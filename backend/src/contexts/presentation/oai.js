@@ -0,0 +1,227 @@
+/**
+ * Presentation Context OAI-PMH Provider
+ *
+ * Metadata harvesting for repositories and aggregators (OAI-PMH 2.0):
+ * - GET/POST /oai?verb=Identify
+ * - GET/POST /oai?verb=ListMetadataFormats[&identifier=]
+ * - GET/POST /oai?verb=ListSets
+ * - GET/POST /oai?verb=ListIdentifiers|ListRecords&metadataPrefix=oai_dc[&from=&until=&set=]
+ * - GET/POST /oai?verb=ListIdentifiers|ListRecords&resumptionToken=
+ * - GET/POST /oai?verb=GetRecord&identifier=&metadataPrefix=oai_dc
+ *
+ * Protocol errors are reported inside the XML response with HTTP 200
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  findReferences,
+  findReferencesAfter,
+  decodeAfterToken,
+  findApprovedReferenceById,
+  countReferences,
+  listApprovedValues
+} = require('../../services/database');
+const oai = require('../../services/oai');
+const { getBaseUrl } = require('../../shared/utils/url');
+const { Status } = require('../../models/Reference');
+const logger = require('../../shared/logger');
+
+/**
+ * Fields needed for record headers (ListIdentifiers)
+ */
+const HEADER_PROJECTION = {
+  updatedAt: 1,
+  createdAt: 1,
+  'comunidades.estado': 1,
+  'comunidades.tipo': 1
+};
+
+/**
+ * Identify - Repository description
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - { baseUrl }
+ * @returns {Promise<string>} Response body
+ */
+async function identify(args, context) {
+  const [earliest] = await findReferences(
+    { status: Status.APPROVED },
+    { sort: { updatedAt: 1 }, limit: 1, projection: { updatedAt: 1 } }
+  );
+
+  return oai.identifyXml({
+    baseUrl: context.baseUrl,
+    earliestDatestamp: earliest && earliest.updatedAt ? earliest.updatedAt : new Date()
+  });
+}
+
+/**
+ * ListMetadataFormats - Formats available (for one record or the repository)
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - { baseUrl }
+ * @returns {Promise<string>} Response body
+ */
+async function listMetadataFormats(args, context) {
+  if (args.identifier !== undefined) {
+    const id = oai.parseOaiIdentifier(args.identifier, oai.repositoryIdentifier(context.baseUrl));
+    const reference = id ? await findApprovedReferenceById(id) : null;
+
+    if (!reference) {
+      return oai.errorsXml([oai.oaiError('idDoesNotExist', `Identificador desconhecido: ${args.identifier}`)]);
+    }
+  }
+
+  return oai.metadataFormatsXml();
+}
+
+/**
+ * ListSets - Sets per estado and per community type
+ * @param {Object} args - Validated arguments
+ * @returns {Promise<string>} Response body
+ */
+async function listSets(args) {
+  // The whole set list fits in one response, so no token is ever issued
+  if (args.resumptionToken !== undefined) {
+    return oai.errorsXml([oai.oaiError('badResumptionToken', 'Token de continuação inválido')]);
+  }
+
+  const valuesByType = {};
+  for (const type of Object.keys(oai.SetTypes)) {
+    valuesByType[type] = await listApprovedValues(oai.SetTypes[type].path);
+  }
+
+  return oai.setsXml(valuesByType);
+}
+
+/**
+ * ListIdentifiers / ListRecords - One page of a selective harvest
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - { baseUrl, verb }
+ * @returns {Promise<string>} Response body
+ */
+async function listRecords(args, context) {
+  let state = {
+    metadataPrefix: args.metadataPrefix,
+    from: args.from,
+    until: args.until,
+    set: args.set,
+    after: null,
+    cursor: 0,
+    total: null
+  };
+
+  if (args.resumptionToken !== undefined) {
+    state = oai.decodeResumptionToken(args.resumptionToken);
+
+    if (!state || !decodeAfterToken(state.after, oai.HARVEST_SORT)) {
+      return oai.errorsXml([oai.oaiError('badResumptionToken', 'Token de continuação inválido ou expirado')]);
+    }
+  }
+
+  const validation = oai.validateHarvest(state);
+  if (!validation.isValid) {
+    return oai.errorsXml(validation.errors);
+  }
+
+  const setType = state.set ? state.set.split(':')[0] : null;
+  const setValues = setType ? await listApprovedValues(oai.SetTypes[setType].path) : [];
+  const query = oai.buildHarvestQuery(state, setValues);
+
+  const page = await findReferencesAfter(query, {
+    sort: oai.HARVEST_SORT,
+    limit: oai.OAI_PAGE_SIZE,
+    after: state.after,
+    projection: context.verb === 'ListIdentifiers' ? HEADER_PROJECTION : { busca: 0 }
+  });
+
+  if (page.references.length === 0) {
+    return oai.errorsXml([oai.oaiError('noRecordsMatch', 'Nenhum registro corresponde aos critérios informados')]);
+  }
+
+  // Counted once, on the first page; later pages carry it in the token
+  const total = state.total !== null ? state.total : await countReferences(query);
+
+  logger.presentation(
+    `OAI-PMH ${context.verb} returned ${page.references.length} records (cursor ${state.cursor} of ${total})`
+  );
+
+  return oai.listXml(context.verb, page.references, {
+    baseUrl: context.baseUrl,
+    token: page.next
+      ? oai.encodeResumptionToken({ ...state, after: page.next, cursor: state.cursor + page.references.length, total })
+      : null,
+    cursor: state.cursor,
+    total,
+    resumed: state.after !== null
+  });
+}
+
+/**
+ * GetRecord - One record in the requested format
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - { baseUrl }
+ * @returns {Promise<string>} Response body
+ */
+async function getRecord(args, context) {
+  if (!Object.prototype.hasOwnProperty.call(oai.MetadataFormats, args.metadataPrefix)) {
+    return oai.errorsXml([
+      oai.oaiError('cannotDisseminateFormat', `Formato de metadados não suportado: ${args.metadataPrefix}`)
+    ]);
+  }
+
+  const id = oai.parseOaiIdentifier(args.identifier, oai.repositoryIdentifier(context.baseUrl));
+  const reference = id ? await findApprovedReferenceById(id) : null;
+
+  if (!reference) {
+    return oai.errorsXml([oai.oaiError('idDoesNotExist', `Identificador desconhecido: ${args.identifier}`)]);
+  }
+
+  return oai.listXml('GetRecord', [reference], { baseUrl: context.baseUrl });
+}
+
+/**
+ * Handlers per verb
+ */
+const handlers = {
+  Identify: identify,
+  ListMetadataFormats: listMetadataFormats,
+  ListSets: listSets,
+  ListIdentifiers: listRecords,
+  ListRecords: listRecords,
+  GetRecord: getRecord
+};
+
+/**
+ * GET|POST / - OAI-PMH request (arguments in the query string or form body)
+ */
+async function handleRequest(req, res) {
+  const args = req.method === 'POST' ? { ...req.body } : { ...req.query };
+  const baseUrl = getBaseUrl();
+
+  res.set('Content-Type', 'text/xml; charset=utf-8');
+
+  let validation = { verb: null };
+
+  try {
+    validation = oai.validateArguments(args);
+
+    // Arguments are echoed in <request> only when the request is well formed
+    if (!validation.isValid) {
+      return res.send(oai.envelope({ baseUrl }, oai.errorsXml(validation.errors)));
+    }
+
+    const body = await handlers[validation.verb](args, { baseUrl, verb: validation.verb });
+    res.send(oai.envelope({ baseUrl, args }, body));
+
+  } catch (error) {
+    logger.error(`OAI-PMH ${validation.verb} failed:`, error.message);
+
+    // OAI-PMH has no error code for server failures
+    res.status(500).type('text/plain').send('Erro ao processar requisição OAI-PMH: ' + error.message);
+  }
+}
+
+router.get('/', handleRequest);
+router.post('/', handleRequest);
+
+module.exports = router;
@@ -2,55 +2,90 @@
  * Presentation Context Routes
  *
  * Routes for public search interface:
- * - GET /: Search page with filters and results
+ * - GET /: Search page with filters and results (free text ranked by relevance)
+ * - GET /reference/:id: Permanent page for a single approved reference
+ * - GET /reference/:id/cite/:format: Citation of one reference (BibTeX, RIS, CSL-JSON)
+ * - GET /species: Index of scientific names
+ * - GET /species/:name: Everything recorded about one scientific name
+ * - GET /statistics: Dashboard with aggregate figures of the approved dataset
+ * - GET /feed.atom, /feed.rss: Recently approved references for the current search
+ * - GET /suggest/:field: Autocomplete options for the filters (HTMX)
+ * - GET /export/dwca: Darwin Core Archive of the current search
+ * - GET /export/cite/:format: Citations for the current search (BibTeX, RIS, CSL-JSON)
+ * - GET /export/:format: CSV/TSV export of the current search
+ * - GET /sitemap.xml, /robots.txt: Crawler entry points for the public pages
  */
 
 const express = require('express');
 const router = express.Router();
-const { searchReferences } = require('../../services/database');
+const {
+  searchReferences,
+  findReferences,
+  streamReferences,
+  findApprovedReferenceById,
+  findRelatedReferences,
+  listSpecies,
+  findSpecies,
+  suggestValues,
+  SUGGESTION_FIELDS,
+  getStatistics,
+  listApprovedValues
+} = require('../../services/database');
+const {
+  parseSearchParams,
+  validateSearchFilters,
+  buildSearchQuery,
+  buildSearchSort,
+  getSearchTerms,
+  toQueryString
+} = require('../../services/search');
+const { Formats, writeDelimited } = require('../../services/export');
+const { writeDarwinCoreArchive } = require('../../services/darwinCore');
+const { CitationFormats, formatCitation, writeCitations } = require('../../services/citation');
+const { FEED_LIMIT, FeedFormats, feedTitle, formatFeed } = require('../../services/feed');
+const {
+  searchPageMetadata,
+  referencePageMetadata,
+  pageMetadata,
+  writeSitemap
+} = require('../../services/metadata');
+const { getBaseUrl, getReferenceUrl } = require('../../shared/utils/url');
 const { Status } = require('../../models/Reference');
+const config = require('../../shared/config');
 const logger = require('../../shared/logger');
 
 /**
  * GET / - Main search page with filters
  * Query parameters:
+ * - q: Free text (full-text index, ranked by relevance; "phrase" and -exclusion)
+ *   or advanced syntax: planta:, uso:, estado:, autor:, ano:2000..2010, AND/OR/NOT, ( )
  * - comunidade: Community name (partial match)
  * - planta: Plant name - scientific or vernacular (partial match)
  * - estado: State (exact match)
  * - municipio: Municipality (exact match)
+ * - uso: Use type (exact match)
+ * - ano: Publication year (exact match)
+ * - anoDe, anoAte: Publication year range (either bound optional)
+ * - autor: Author, matched against ABNT names in any typed order
+ * - comDoi: "1" for references with a DOI only
+ * - ordem: Sort order (relevancia, ano-desc, ano-asc, titulo, plantas, comunidades, recentes)
  * - page: Page number (default: 1)
  * - limit: Results per page (default: 50)
  */
 router.get('/', async (req, res) => {
   try {
-    const {
-      q,
-      tipo,
-      comunidade,
-      planta,
-      estado,
-      municipio,
-      page = 1,
-      limit = 50
-    } = req.query;
+    const { filters, page: pageNum, limit: limitNum } = parseSearchParams(req.query);
 
     // Build MongoDB query
-    const query = buildSearchQuery({
-      q,
-      tipo,
-      comunidade,
-      planta,
-      estado,
-      municipio
-    });
+    const query = buildSearchQuery(filters);
 
     logger.presentation('Search query:', JSON.stringify(query));
 
     // Execute search with pagination
-    const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 50;
-
-    const searchResult = await searchReferences(query, pageNum, limitNum);
+    const searchResult = await searchReferences(query, pageNum, limitNum, {
+      facets: true,
+      sort: buildSearchSort(filters)
+    });
 
     logger.presentation(
       `Search returned ${searchResult.references.length} of ${searchResult.total} references (page ${pageNum})`
@@ -62,15 +97,11 @@ router.get('/', async (req, res) => {
       contextName: 'Busca de Dados Etnobotânicos',
       contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
       showNavigation: true,
-      filters: {
-        q: q || '',
-        tipo: tipo || '',
-        comunidade: comunidade || '',
-        planta: planta || '',
-        estado: estado || '',
-        municipio: municipio || ''
-      },
+      metadata: searchPageMetadata(getBaseUrl()),
+      filters,
+      highlightTerms: getSearchTerms(filters.q),
       results: searchResult.references,
+      facets: searchResult.facets,
       pagination: {
         page: searchResult.page,
         limit: searchResult.limit,
@@ -89,15 +120,11 @@ router.get('/', async (req, res) => {
       contextName: 'Busca de Dados Etnobotânicos',
       contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
       showNavigation: true,
-      filters: {
-        q: '',
-        tipo: '',
-        comunidade: '',
-        planta: '',
-        estado: '',
-        municipio: ''
-      },
+      // Keep the submitted filters so query syntax errors can be corrected
+      filters: parseSearchParams(req.query).filters,
+      highlightTerms: [],
       results: [],
+      facets: {},
       pagination: {
         page: 1,
         limit: 50,
@@ -112,124 +139,516 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Build MongoDB search query from filters
- * All filters use AND logic (all must match)
- * Only approved references are returned
- *
- * @param {Object} filters - Search filters
- * @returns {Object} MongoDB query
+ * GET /reference/:id - Permanent page for a single approved reference
+ * Lists related references (shared species, community type or estado)
+ * Pending, rejected and unknown IDs return 404
  */
-function buildSearchQuery(filters) {
-  const query = {
-    status: Status.APPROVED  // Only show approved references
-  };
-
-  const conditions = [];
-
-  // Google-like search (searches across all fields)
-  if (filters.q && filters.q.trim().length > 0) {
-    const searchRegex = sanitizeRegex(filters.q);
-    conditions.push({
-      $or: [
-        { titulo: { $regex: searchRegex, $options: 'i' } },
-        { autores: { $regex: searchRegex, $options: 'i' } },
-        { resumo: { $regex: searchRegex, $options: 'i' } },
-        { DOI: { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.nome': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.tipo': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.estado': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.municipio': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.local': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.atividadesEconomicas': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.observacoes': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.plantas.nomeCientifico': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.plantas.nomeVernacular': { $regex: searchRegex, $options: 'i' } },
-        { 'comunidades.plantas.tipoUso': { $regex: searchRegex, $options: 'i' } }
-      ]
-    });
-  }
-
-  // Community type filter (exact match, case-insensitive)
-  if (filters.tipo && filters.tipo.trim().length > 0) {
-    conditions.push({
-      'comunidades.tipo': {
-        $regex: `^${sanitizeRegex(filters.tipo)}$`,
-        $options: 'i'
-      }
+router.get('/reference/:id', async (req, res) => {
+  try {
+    const reference = await findApprovedReferenceById(req.params.id);
+
+    if (!reference) {
+      logger.presentation(`Reference ${req.params.id} not found or not approved`);
+      return res.status(404).render('error', {
+        message: 'Referência não encontrada',
+        error: {}
+      });
+    }
+
+    const permalink = getReferenceUrl(reference._id);
+
+    // Suggestions are secondary: the page still renders without them
+    const related = await findRelatedReferences(reference).catch(error => {
+      logger.error(`Related references for ${reference._id} failed:`, error.message);
+      return [];
+    });
+
+    res.render('reference', {
+      pageTitle: reference.titulo,
+      contextName: 'Busca de Dados Etnobotânicos',
+      contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
+      showNavigation: true,
+      metadata: referencePageMetadata(reference, permalink, getBaseUrl()),
+      reference,
+      related,
+      permalink
+    });
+
+  } catch (error) {
+    logger.error(`Failed to load reference ${req.params.id}:`, error.message);
+
+    res.status(500).render('error', {
+      message: 'Erro ao carregar referência: ' + error.message,
+      error: {}
     });
   }
+});
 
-  // Community name filter (case-insensitive partial match)
-  if (filters.comunidade && filters.comunidade.trim().length > 0) {
-    conditions.push({
-      'comunidades.nome': {
-        $regex: sanitizeRegex(filters.comunidade),
-        $options: 'i'
-      }
+/**
+ * GET /reference/:id/cite/:format - Download the citation of one reference
+ * Formats: bibtex, ris, csl (CSL-JSON)
+ */
+router.get('/reference/:id/cite/:format', async (req, res) => {
+  const format = req.params.format;
+
+  if (!Object.prototype.hasOwnProperty.call(CitationFormats, format)) {
+    return res.status(404).render('error', {
+      message: 'Formato de citação não suportado',
+      error: {}
     });
   }
 
-  // Plant name filter (scientific OR vernacular, case-insensitive partial match)
-  if (filters.planta && filters.planta.trim().length > 0) {
-    const plantRegex = sanitizeRegex(filters.planta);
-    conditions.push({
-      $or: [
-        {
-          'comunidades.plantas.nomeCientifico': {
-            $regex: plantRegex,
-            $options: 'i'
-          }
-        },
-        {
-          'comunidades.plantas.nomeVernacular': {
-            $regex: plantRegex,
-            $options: 'i'
-          }
-        }
-      ]
-    });
-  }
-
-  // State filter (exact match, case-insensitive)
-  if (filters.estado && filters.estado.trim().length > 0) {
-    conditions.push({
-      'comunidades.estado': {
-        $regex: `^${sanitizeRegex(filters.estado)}$`,
-        $options: 'i'
-      }
+  try {
+    const reference = await findApprovedReferenceById(req.params.id);
+
+    if (!reference) {
+      return res.status(404).render('error', {
+        message: 'Referência não encontrada',
+        error: {}
+      });
+    }
+
+    res.set({
+      'Content-Type': CitationFormats[format].contentType,
+      'Content-Disposition': `attachment; filename="etnodb-${reference._id}.${CitationFormats[format].extension}"`
+    });
+
+    res.send(formatCitation(reference, format, { url: getReferenceUrl(reference._id) }));
+
+  } catch (error) {
+    logger.error(`Failed to cite reference ${req.params.id}:`, error.message);
+
+    res.status(500).render('error', {
+      message: 'Erro ao gerar citação: ' + error.message,
+      error: {}
     });
   }
+});
+
+/**
+ * GET /species - Index of scientific names in approved references
+ * Query parameters:
+ * - q: Name prefix (e.g. "Eu" or a single letter)
+ * - page: Page number (default: 1)
+ */
+router.get('/species', async (req, res) => {
+  const prefix = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+
+  try {
+    const result = await listSpecies({ prefix, page: pageNum, limit: 100 });
+    const baseUrl = getBaseUrl();
 
-  // Municipality filter (exact match, case-insensitive)
-  if (filters.municipio && filters.municipio.trim().length > 0) {
-    conditions.push({
-      'comunidades.municipio': {
-        $regex: `^${sanitizeRegex(filters.municipio)}$`,
-        $options: 'i'
+    res.render('species-index', {
+      pageTitle: 'Índice de Espécies',
+      contextName: 'Busca de Dados Etnobotânicos',
+      contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
+      showNavigation: true,
+      metadata: pageMetadata(
+        'Índice de Espécies',
+        'Nomes científicos de plantas citadas nas referências etnobotânicas do etnoDB.',
+        `${baseUrl}/species`,
+        baseUrl
+      ),
+      filters: { q: prefix },
+      species: result.species,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages,
+        hasNext: result.page < result.totalPages,
+        hasPrev: result.page > 1
       }
     });
+
+  } catch (error) {
+    logger.error('Species index failed:', error.message);
+
+    res.status(500).render('error', {
+      message: 'Erro ao carregar índice de espécies: ' + error.message,
+      error: {}
+    });
   }
+});
+
+/**
+ * GET /species/:name - Species page aggregated across approved references
+ */
+router.get('/species/:name', async (req, res) => {
+  try {
+    const species = await findSpecies(req.params.name);
+
+    if (!species) {
+      return res.status(404).render('error', {
+        message: 'Espécie não encontrada',
+        error: {}
+      });
+    }
+
+    const baseUrl = getBaseUrl();
+
+    res.render('species', {
+      pageTitle: species.nomeCientifico,
+      contextName: 'Busca de Dados Etnobotânicos',
+      contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
+      showNavigation: true,
+      metadata: pageMetadata(
+        species.nomeCientifico,
+        `Nomes vernaculares, tipos de uso e comunidades tradicionais que citam ${species.nomeCientifico}.`,
+        `${baseUrl}/species/${encodeURIComponent(species.nomeCientifico)}`,
+        baseUrl
+      ),
+      species
+    });
+
+  } catch (error) {
+    logger.error(`Failed to load species ${req.params.name}:`, error.message);
 
-  // Combine all conditions with AND
-  if (conditions.length > 0) {
-    query.$and = conditions;
+    res.status(500).render('error', {
+      message: 'Erro ao carregar espécie: ' + error.message,
+      error: {}
+    });
   }
+});
 
-  return query;
-}
+/**
+ * GET /statistics - Public statistics dashboard
+ * References per year, communities per estado and tipo, most-cited species,
+ * use types and growth over time (cached until the next approval)
+ */
+router.get('/statistics', async (req, res) => {
+  try {
+    const statistics = await getStatistics();
+    const baseUrl = getBaseUrl();
+
+    res.render('statistics', {
+      pageTitle: 'Estatísticas',
+      contextName: 'Busca de Dados Etnobotânicos',
+      contextDescription: 'Conheça a relação de comunidades tradicionais com suas plantas',
+      showNavigation: true,
+      metadata: pageMetadata(
+        'Estatísticas',
+        'Números da base etnoDB: referências por ano, comunidades por estado e tipo, espécies mais citadas e tipos de uso.',
+        `${baseUrl}/statistics`,
+        baseUrl
+      ),
+      statistics
+    });
+
+  } catch (error) {
+    logger.error('Statistics page failed:', error.message);
+
+    res.status(500).render('error', {
+      message: 'Erro ao carregar estatísticas: ' + error.message,
+      error: {}
+    });
+  }
+});
 
 /**
- * Sanitize regex input to prevent regex injection
- * Escapes special regex characters
- *
- * @param {string} str - Input string
- * @returns {string} Sanitized string
+ * GET /feed.atom, /feed.rss - Most recently approved references
+ * Accepts the same filters as the search page, so readers can subscribe
+ * to a search (e.g. /feed.atom?estado=Bahia)
  */
-function sanitizeRegex(str) {
-  if (!str || typeof str !== 'string') return '';
+router.get('/feed.:format', async (req, res) => {
+  const format = req.params.format;
+
+  if (!Object.prototype.hasOwnProperty.call(FeedFormats, format)) {
+    return res.status(404).render('error', {
+      message: 'Formato de feed não suportado',
+      error: {}
+    });
+  }
 
-  // Escape special regex characters
-  return str.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+  try {
+    const { filters } = parseSearchParams(req.query);
+    const validation = validateSearchFilters(filters);
+
+    if (!validation.isValid) {
+      return res.status(400).render('error', {
+        message: validation.errors.join('; '),
+        error: {}
+      });
+    }
+
+    const query = buildSearchQuery(filters);
+    const baseUrl = getBaseUrl();
+    const queryString = toQueryString(filters);
+
+    logger.presentation(`Building ${format} feed:`, JSON.stringify(query));
+
+    // References approved before approvedAt existed sort by updatedAt
+    const references = await findReferences(query, {
+      projection: { busca: 0 },
+      sort: { approvedAt: -1, updatedAt: -1 },
+      limit: FEED_LIMIT
+    });
+
+    res.set('Content-Type', FeedFormats[format].contentType);
+    res.send(formatFeed(references, format, {
+      title: feedTitle(config.dataset.title, filters),
+      selfUrl: `${baseUrl}/feed.${format}${queryString ? '?' + queryString : ''}`,
+      siteUrl: `${baseUrl}/${queryString ? '?' + queryString : ''}`,
+      referenceUrl: reference => getReferenceUrl(reference._id)
+    }));
+
+  } catch (error) {
+    logger.error('Feed failed:', error.message);
+
+    res.status(500).render('error', {
+      message: 'Erro ao gerar feed: ' + error.message,
+      error: {}
+    });
+  }
+});
+
+/**
+ * GET /suggest/:field - Autocomplete options for the search filters (HTMX)
+ * Fields: planta, municipio, comunidade (values from approved references)
+ * The typed text comes in "q" or, for hx-get on the filter inputs,
+ * in the parameter named after the field (e.g. ?planta=eut)
+ * Returns <option> elements for a <datalist>
+ */
+router.get('/suggest/:field', async (req, res) => {
+  const field = req.params.field;
+
+  if (!Object.prototype.hasOwnProperty.call(SUGGESTION_FIELDS, field)) {
+    return res.status(404).send('');
+  }
+
+  const typed = req.query.q !== undefined ? req.query.q : req.query[field];
+  const prefix = typeof typed === 'string' ? typed.trim() : '';
+
+  try {
+    // Very short prefixes would match most of the collection
+    const values = prefix.length >= 2
+      ? await suggestValues(field, prefix, { filter: { status: Status.APPROVED } })
+      : [];
+
+    res.render('partials/suggestions', {
+      suggestions: values.map(value => ({ value, label: value }))
+    });
+
+  } catch (error) {
+    logger.error(`Suggestions for ${field} failed:`, error.message);
+    res.status(500).send('');
+  }
+});
+
+/**
+ * GET /export/dwca - Darwin Core Archive (zip) for GBIF/SiBBr publishing
+ * Accepts the same filters as the search page; without filters it
+ * exports every approved reference
+ */
+router.get('/export/dwca', async (req, res) => {
+  const { filters } = parseSearchParams(req.query);
+  const validation = validateSearchFilters(filters);
+
+  if (!validation.isValid) {
+    return res.status(400).render('error', {
+      message: validation.errors.join('; '),
+      error: {}
+    });
+  }
+
+  const query = buildSearchQuery(filters);
+  const date = new Date().toISOString().slice(0, 10);
+
+  logger.presentation('Exporting Darwin Core Archive:', JSON.stringify(query));
+
+  try {
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="etnodb-dwca-${date}.zip"`
+    });
+
+    await writeDarwinCoreArchive(query, res, { baseUrl: getBaseUrl() });
+
+  } catch (error) {
+    logger.error('Darwin Core Archive export failed:', error.message);
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).render('error', {
+        message: 'Erro ao gerar Darwin Core Archive: ' + error.message,
+        error: {}
+      });
+    }
+  }
+});
+
+/**
+ * GET /export/cite/:format - Citations for every reference in the current search
+ * Formats: bibtex, ris, csl (CSL-JSON); accepts the same filters as the search page
+ */
+router.get('/export/cite/:format', async (req, res) => {
+  const format = req.params.format;
+
+  if (!Object.prototype.hasOwnProperty.call(CitationFormats, format)) {
+    return res.status(404).render('error', {
+      message: 'Formato de citação não suportado',
+      error: {}
+    });
+  }
+
+  const { filters } = parseSearchParams(req.query);
+  const validation = validateSearchFilters(filters);
+
+  if (!validation.isValid) {
+    return res.status(400).render('error', {
+      message: validation.errors.join('; '),
+      error: {}
+    });
+  }
+
+  const query = buildSearchQuery(filters);
+  const date = new Date().toISOString().slice(0, 10);
+
+  logger.presentation(`Exporting ${format} citations:`, JSON.stringify(query));
+
+  const cursor = streamReferences(query, {
+    projection: { titulo: 1, autores: 1, ano: 1, DOI: 1, resumo: 1 }
+  });
+
+  try {
+    res.set({
+      'Content-Type': CitationFormats[format].contentType,
+      'Content-Disposition': `attachment; filename="etnodb-citacoes-${date}.${CitationFormats[format].extension}"`
+    });
+
+    await writeCitations(cursor, res, format, reference => getReferenceUrl(reference._id));
+    res.end();
+
+  } catch (error) {
+    logger.error('Citation export failed:', error.message);
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).render('error', {
+        message: 'Erro ao exportar citações: ' + error.message,
+        error: {}
+      });
+    }
+  } finally {
+    await cursor.close();
+  }
+});
+
+/**
+ * GET /export/:format - Export the current search as CSV or TSV
+ * Accepts the same filters as the search page; one row per plant record.
+ * Rows are streamed from a cursor so full-database exports stay in bounded memory.
+ */
+router.get('/export/:format', async (req, res) => {
+  const format = req.params.format;
+
+  if (!Object.prototype.hasOwnProperty.call(Formats, format)) {
+    return res.status(404).render('error', {
+      message: 'Formato de exportação não suportado',
+      error: {}
+    });
+  }
+
+  const { filters } = parseSearchParams(req.query);
+  const validation = validateSearchFilters(filters);
+
+  if (!validation.isValid) {
+    return res.status(400).render('error', {
+      message: validation.errors.join('; '),
+      error: {}
+    });
+  }
+
+  const query = buildSearchQuery(filters);
+  const date = new Date().toISOString().slice(0, 10);
+
+  logger.presentation(`Exporting ${format.toUpperCase()}:`, JSON.stringify(query));
+
+  const cursor = streamReferences(query);
+
+  try {
+    res.set({
+      'Content-Type': Formats[format].contentType,
+      'Content-Disposition': `attachment; filename="etnodb-${date}.${Formats[format].extension}"`
+    });
+
+    await writeDelimited(cursor, res, format);
+    res.end();
+
+  } catch (error) {
+    logger.error('Export failed:', error.message);
+
+    if (res.headersSent) {
+      // Partial file already sent: abort so the client sees a failed download
+      res.destroy(error);
+    } else {
+      res.status(500).render('error', {
+        message: 'Erro ao exportar dados: ' + error.message,
+        error: {}
+      });
+    }
+  } finally {
+    await cursor.close();
+  }
+});
+
+/**
+ * GET /sitemap.xml - Public pages for search engines
+ * Browse pages, searches per estado, species pages and every approved
+ * reference (lastmod from updatedAt), streamed from a cursor
+ */
+router.get('/sitemap.xml', async (req, res) => {
+  const cursor = streamReferences({ status: Status.APPROVED }, { projection: { updatedAt: 1 } });
+
+  try {
+    const [estados, species] = await Promise.all([
+      listApprovedValues('comunidades.estado'),
+      listApprovedValues('comunidades.plantas.nomeCientifico')
+    ]);
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+
+    await writeSitemap(res, {
+      baseUrl: getBaseUrl(),
+      estados,
+      species,
+      references: cursor
+    });
+    res.end();
+
+  } catch (error) {
+    logger.error('Sitemap failed:', error.message);
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).render('error', {
+        message: 'Erro ao gerar sitemap: ' + error.message,
+        error: {}
+      });
+    }
+  } finally {
+    await cursor.close();
+  }
+});
+
+/**
+ * GET /robots.txt - Allow crawling and point to the sitemap
+ * Exports and citation downloads are excluded to spare the database
+ */
+router.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send([
+    'User-agent: *',
+    'Disallow: /export/',
+    'Disallow: /suggest/',
+    'Allow: /',
+    '',
+    `Sitemap: ${getBaseUrl()}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
 
 module.exports = router;
@@ -37,7 +37,8 @@ const ReferenceSchema = {
     }
   ],
   createdAt: Date,                  // Creation timestamp (auto-generated)
-  updatedAt: Date                   // Last update timestamp (auto-generated)
+  updatedAt: Date,                  // Last update timestamp (auto-generated)
+  approvedAt: Date                  // Time of the first approval (set by the curation workflow)
 };
 
 /**
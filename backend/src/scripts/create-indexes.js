@@ -15,11 +15,48 @@ const logger = require('../shared/logger');
  * Index definitions based on data-model.md
  */
 const indexes = [
-  // Text search on title
+  // Weighted full-text search for the public "q" filter
+  // MongoDB allows a single text index per collection, so every
+  // searchable field goes here; weights rank title and plant names first
   {
-    name: 'titulo_text',
-    spec: { titulo: 'text' },
-    options: { default_language: 'portuguese' }
+    name: 'search_text',
+    spec: {
+      titulo: 'text',
+      'comunidades.plantas.nomeCientifico': 'text',
+      'comunidades.plantas.nomeVernacular': 'text',
+      'comunidades.nome': 'text',
+      autores: 'text',
+      'comunidades.plantas.tipoUso': 'text',
+      'comunidades.tipo': 'text',
+      'comunidades.municipio': 'text',
+      'comunidades.estado': 'text',
+      resumo: 'text',
+      'comunidades.local': 'text',
+      'comunidades.atividadesEconomicas': 'text',
+      'comunidades.observacoes': 'text',
+      DOI: 'text'
+    },
+    options: {
+      default_language: 'portuguese',
+      // Documents have no "language" field; avoid clashes with future fields
+      language_override: 'idiomaTexto',
+      weights: {
+        titulo: 10,
+        'comunidades.plantas.nomeCientifico': 8,
+        'comunidades.plantas.nomeVernacular': 8,
+        'comunidades.nome': 5,
+        autores: 5,
+        'comunidades.plantas.tipoUso': 3,
+        'comunidades.tipo': 3,
+        'comunidades.municipio': 3,
+        'comunidades.estado': 3,
+        resumo: 2,
+        DOI: 2,
+        'comunidades.local': 1,
+        'comunidades.atividadesEconomicas': 1,
+        'comunidades.observacoes': 1
+      }
+    }
   },
 
   // Status filter for curation context
@@ -36,6 +73,34 @@ const indexes = [
     options: {}
   },
 
+  // Recently approved references for the public feed
+  {
+    name: 'approvedAt_-1',
+    spec: { approvedAt: -1 },
+    options: {}
+  },
+
+  // OAI-PMH harvesting: approved records by datestamp
+  {
+    name: 'status_1_updatedAt_1__id_1',
+    spec: { status: 1, updatedAt: 1, _id: 1 },
+    options: {}
+  },
+
+  // Publication year filters and sort orders
+  {
+    name: 'ano_1',
+    spec: { ano: 1 },
+    options: {}
+  },
+
+  // Title sort order (normalized title)
+  {
+    name: 'busca.titulo_1',
+    spec: { 'busca.titulo': 1 },
+    options: {}
+  },
+
   // State filter for presentation search
   {
     name: 'comunidades.estado_1',
@@ -50,24 +115,25 @@ const indexes = [
     options: {}
   },
 
-  // Community name text search
+  // Accent-insensitive state/municipality filters (normalized shadow field)
   {
-    name: 'comunidades.nome_text',
-    spec: { 'comunidades.nome': 'text' },
-    options: { default_language: 'portuguese' }
+    name: 'busca.estados_1',
+    spec: { 'busca.estados': 1 },
+    options: {}
   },
-
-  // Plant names text search (scientific and vernacular)
   {
-    name: 'plantas_text',
-    spec: {
-      'comunidades.plantas.nomeCientifico': 'text',
-      'comunidades.plantas.nomeVernacular': 'text'
-    },
-    options: { default_language: 'portuguese' }
+    name: 'busca.municipios_1',
+    spec: { 'busca.municipios': 1 },
+    options: {}
   }
 ];
 
+/**
+ * Text indexes from earlier versions, replaced by search_text
+ * (a collection can only have one text index)
+ */
+const legacyIndexes = ['titulo_text', 'comunidades.nome_text', 'plantas_text'];
+
 /**
  * Create all indexes
  */
@@ -79,6 +145,15 @@ async function createIndexes() {
     await database.connect();
     const collection = database.getCollection(config.database.collection);
 
+    // Drop legacy text indexes so search_text can be created
+    // (listing fails when the collection does not exist yet)
+    const currentIndexes = await collection.indexes().catch(() => []);
+    const currentNames = currentIndexes.map(idx => idx.name);
+    for (const name of legacyIndexes.filter(n => currentNames.includes(n))) {
+      logger.info(`Dropping legacy index: ${name}`);
+      await collection.dropIndex(name);
+    }
+
     // Create each index
     for (const index of indexes) {
       try {
@@ -0,0 +1,53 @@
+/**
+ * Darwin Core Archive Export Script
+ *
+ * Writes a Darwin Core Archive (zip) with every approved reference,
+ * ready to be published through an IPT (GBIF/SiBBr)
+ *
+ * Usage: node backend/src/scripts/export-dwca.js [output.zip]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../shared/database');
+const config = require('../shared/config');
+const logger = require('../shared/logger');
+const { buildSearchQuery } = require('../services/search');
+const { writeDarwinCoreArchive } = require('../services/darwinCore');
+
+/**
+ * Export all approved references to a zip file
+ * @param {string} outputPath - Destination file
+ */
+async function exportDarwinCoreArchive(outputPath) {
+  try {
+    logger.info(`Exporting Darwin Core Archive to ${outputPath}`);
+
+    await database.connect();
+
+    const output = fs.createWriteStream(outputPath);
+    const size = await writeDarwinCoreArchive(buildSearchQuery({}), output, {
+      baseUrl: config.publicUrl
+    });
+
+    console.log(`✓ Darwin Core Archive written: ${outputPath} (${size} bytes)`);
+
+  } catch (error) {
+    logger.error('Failed to export Darwin Core Archive:', error.message);
+    throw error;
+  } finally {
+    await database.close();
+  }
+}
+
+// Run script if executed directly
+if (require.main === module) {
+  const date = new Date().toISOString().slice(0, 10);
+  const outputPath = path.resolve(process.argv[2] || `etnodb-dwca-${date}.zip`);
+
+  // No process.exit on success: the process ends once the file is flushed
+  exportDarwinCoreArchive(outputPath)
+    .catch(() => { process.exitCode = 1; });
+}
+
+module.exports = { exportDarwinCoreArchive };
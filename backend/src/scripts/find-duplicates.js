@@ -0,0 +1,95 @@
+/**
+ * Duplicate Scan Script
+ *
+ * Lists clusters of references (any status) that may describe the same
+ * publication: same DOI, or similar title, year and first author.
+ * Nothing is changed; curators merge or reject the duplicates on the
+ * curation interface.
+ *
+ * Usage: node backend/src/scripts/find-duplicates.js [--json <saida.json>]
+ *   --json  Also write the clusters to a JSON file
+ */
+
+const fs = require('fs');
+const database = require('../shared/database');
+const logger = require('../shared/logger');
+const { scanDuplicates } = require('../services/duplicates');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { jsonFile }
+ */
+function parseArguments(argv) {
+  const jsonIndex = argv.indexOf('--json');
+
+  if (jsonIndex !== -1 && !argv[jsonIndex + 1]) {
+    throw new Error('Informe o arquivo de saída: --json <saida.json>');
+  }
+
+  return {
+    jsonFile: jsonIndex !== -1 ? argv[jsonIndex + 1] : null
+  };
+}
+
+/**
+ * Scan the collection and print the duplicate clusters
+ * @param {Object} options - { jsonFile }
+ * @returns {Promise<Array>} Clusters (see scanDuplicates)
+ */
+async function findDuplicates(options = {}) {
+  try {
+    logger.info('Scanning references for duplicates...');
+
+    await database.connect();
+
+    const clusters = await scanDuplicates();
+
+    clusters.forEach((cluster, idx) => {
+      console.log(`\nGrupo ${idx + 1} (${cluster.referencias.length} referências):`);
+
+      cluster.referencias.forEach(reference => {
+        const autor = (reference.autores || [])[0] || 'sem autor';
+        console.log(`  ${reference._id} [${reference.status}] ${autor} (${reference.ano}) ${reference.titulo}`);
+      });
+
+      cluster.pares.forEach(pair => {
+        console.log(`    ${pair.a} ↔ ${pair.b}: ${pair.motivos.join('; ')}`);
+      });
+    });
+
+    if (options.jsonFile) {
+      fs.writeFileSync(options.jsonFile, JSON.stringify(clusters, null, 2));
+    }
+
+    console.log(`\n✓ ${clusters.length} group(s) of possible duplicates found`);
+    if (options.jsonFile) {
+      console.log(`  Report: ${options.jsonFile}`);
+    }
+
+    return clusters;
+  } catch (error) {
+    logger.error('Failed to scan for duplicates:', error.message);
+    throw error;
+  } finally {
+    await database.close();
+  }
+}
+
+// Run script if executed directly
+if (require.main === module) {
+  let options;
+
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  findDuplicates(options)
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = { findDuplicates };
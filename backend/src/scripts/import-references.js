@@ -0,0 +1,104 @@
+/**
+ * Bulk Reference Import Script
+ *
+ * Imports a JSON array of references (docs/dataStructure.json shape) as
+ * pending references, with the same normalization and validation as the
+ * data entry form. Rejected records are written to a JSON report with
+ * their error messages and original data.
+ *
+ * Usage: node backend/src/scripts/import-references.js <arquivo.json> [--relatorio <saida.json>] [--validar]
+ *   --relatorio  Report path (default: <arquivo>-relatorio.json)
+ *   --validar    Validate only, insert nothing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../shared/database');
+const logger = require('../shared/logger');
+const { parseImportFile, importReferences, buildImportReport } = require('../services/importer');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { file, reportFile, dryRun }
+ */
+function parseArguments(argv) {
+  const file = argv.find((arg, idx) => !arg.startsWith('--') && argv[idx - 1] !== '--relatorio');
+  const reportIndex = argv.indexOf('--relatorio');
+
+  if (!file) {
+    throw new Error('Informe o arquivo JSON: node backend/src/scripts/import-references.js <arquivo.json>');
+  }
+
+  const parsedPath = path.parse(file);
+
+  return {
+    file,
+    reportFile: reportIndex !== -1 && argv[reportIndex + 1]
+      ? argv[reportIndex + 1]
+      : path.join(parsedPath.dir, `${parsedPath.name}-relatorio.json`),
+    dryRun: argv.includes('--validar')
+  };
+}
+
+/**
+ * Import the references of a JSON file and write the report
+ * @param {Object} options - { file, reportFile, dryRun }
+ * @returns {Promise<Object>} Import report
+ */
+async function importFile(options) {
+  const { file, reportFile, dryRun } = options;
+
+  try {
+    logger.info(`Importing references from ${file}${dryRun ? ' (validation only)' : ''}...`);
+
+    const parsed = parseImportFile(fs.readFileSync(file, 'utf8'));
+    if (!parsed.isValid) {
+      throw new Error(parsed.errors.join('; '));
+    }
+
+    if (!dryRun) {
+      await database.connect();
+    }
+
+    const result = await importReferences(parsed.records, { dryRun });
+    const report = buildImportReport(result);
+
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+    result.rejected.forEach(item => {
+      console.log(`✗ Registro ${item.registro} (${item.titulo || 'sem título'}): ${item.erros.join('; ')}`);
+    });
+
+    console.log(`✓ ${result.inserted.length} of ${result.total} references ${dryRun ? 'valid' : 'imported as pending'}`);
+    console.log(`  Report: ${reportFile}`);
+
+    return report;
+  } catch (error) {
+    logger.error('Failed to import references:', error.message);
+    throw error;
+  } finally {
+    if (!dryRun) {
+      await database.close();
+    }
+  }
+}
+
+// Run script if executed directly
+if (require.main === module) {
+  let options;
+
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  // Exit code 2 when some records were rejected
+  importFile(options)
+    .then(report => process.exit(report.rejeitados > 0 ? 2 : 0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = { importFile };
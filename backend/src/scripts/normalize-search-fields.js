@@ -0,0 +1,76 @@
+/**
+ * Search Field Normalization Script
+ *
+ * Fills the normalized "busca" shadow field (accent- and case-insensitive
+ * filters) on references saved before it existed. New and updated
+ * references get it automatically from services/database.js.
+ * Safe to run more than once.
+ *
+ * Usage: node backend/src/scripts/normalize-search-fields.js
+ */
+
+const database = require('../shared/database');
+const config = require('../shared/config');
+const logger = require('../shared/logger');
+const { buildSearchFields } = require('../services/search');
+
+/**
+ * Number of updates sent per bulkWrite
+ */
+const BATCH_SIZE = 500;
+
+/**
+ * Recompute the "busca" field for every reference
+ * @returns {Promise<number>} Number of references updated
+ */
+async function normalizeSearchFields() {
+  try {
+    logger.info('Normalizing search fields...');
+
+    await database.connect();
+    const collection = database.getCollection(config.database.collection);
+
+    const cursor = collection.find({}, { projection: { titulo: 1, resumo: 1, autores: 1, comunidades: 1 } });
+    let operations = [];
+    let updated = 0;
+
+    for await (const reference of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: reference._id },
+          update: { $set: { busca: buildSearchFields(reference) } }
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        await collection.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+        logger.info(`  ${updated} references normalized`);
+      }
+    }
+
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+    }
+
+    logger.info(`✓ Search fields normalized on ${updated} references`);
+
+    return updated;
+  } catch (error) {
+    logger.error('Failed to normalize search fields:', error.message);
+    throw error;
+  } finally {
+    await database.close();
+  }
+}
+
+// Run script if executed directly
+if (require.main === module) {
+  normalizeSearchFields()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = { normalizeSearchFields };
@@ -57,6 +57,10 @@ async function startServer() {
     });
     servers.push(presentationServer);
 
+    if (config.isProduction && !config.publicUrl) {
+      logger.error('PUBLIC_URL is not set: permanent links, feeds and OAI-PMH records will point to localhost');
+    }
+
     logger.server('All contexts started successfully');
 
     // Graceful shutdown handling
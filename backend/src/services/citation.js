@@ -0,0 +1,274 @@
+/**
+ * Citation Service
+ *
+ * Formats references as ABNT citation strings and exports them
+ * as BibTeX, RIS and CSL-JSON for reference managers (Zotero, Mendeley)
+ */
+
+const logger = require('../shared/logger');
+const { waitForDrain } = require('../shared/utils/stream');
+
+/**
+ * Lowercase particles kept in lowercase when title-casing surnames
+ */
+const NAME_PARTICLES = ['da', 'das', 'de', 'do', 'dos', 'e', 'van', 'von', 'del', 'della'];
+
+/**
+ * Split an ABNT-formatted author ("SOBRENOME, N.") into CSL name parts
+ * Surnames stored in uppercase are converted to title case
+ * @param {string} author - Author in ABNT format
+ * @returns {Object} { family, given }
+ */
+function parseAuthorName(author) {
+  if (!author || typeof author !== 'string') return { family: '', given: '' };
+
+  const [family, ...rest] = author.split(',');
+  const given = rest.join(',').trim();
+
+  return {
+    family: titleCase(family.trim()),
+    given
+  };
+}
+
+/**
+ * Title-case an uppercase surname (LEITÃO-FILHO → Leitão-Filho)
+ * Mixed-case input is returned unchanged
+ * @param {string} name - Surname
+ * @returns {string} Title-cased surname
+ */
+function titleCase(name) {
+  if (name !== name.toUpperCase()) return name;
+
+  return name
+    .toLowerCase()
+    .split(' ')
+    .map((word, idx) => {
+      if (idx > 0 && NAME_PARTICLES.includes(word)) return word;
+      return word.replace(/(^|-)(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase());
+    })
+    .join(' ');
+}
+
+/**
+ * Ensure text ends with a period (unless it ends with ., ? or !)
+ * @param {string} text - Input text
+ * @returns {string} Text with final punctuation
+ */
+function withPeriod(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.length === 0) return '';
+  return /[.?!]$/.test(trimmed) ? trimmed : `${trimmed}.`;
+}
+
+/**
+ * Format a reference as an ABNT (NBR 6023) citation string
+ * Example: HANAZAKI, N.; BEGOSSI, A. Título do artigo. 2000. DOI: 10.1590/x.
+ * @param {Object} reference - Reference document
+ * @returns {string} Citation text
+ */
+function formatABNT(reference) {
+  const authors = withPeriod((reference.autores || []).join('; '));
+  const parts = [authors, withPeriod(reference.titulo), withPeriod(String(reference.ano || ''))];
+
+  if (reference.DOI) {
+    parts.push(`DOI: ${withPeriod(reference.DOI)}`);
+  }
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Escape BibTeX special characters in a field value
+ * @param {string} value - Field value
+ * @returns {string} Escaped value
+ */
+function escapeBibTeX(value) {
+  // One pass, so the braces of \textbackslash{} are not escaped again
+  return String(value)
+    .replace(/[\\{}%&$#_]/g, char => (char === '\\' ? '\\textbackslash{}' : `\\${char}`))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a BibTeX citation key: first author surname + year + first title word
+ * @param {Object} reference - Reference document
+ * @returns {string} Key containing only ASCII letters and digits
+ */
+function bibtexKey(reference) {
+  const ascii = text => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase();
+
+  const family = ascii(parseAuthorName((reference.autores || [])[0]).family) || 'etnodb';
+  const word = ((reference.titulo || '').split(/\s+/).find(w => ascii(w).length > 3)) || '';
+
+  return `${family}${reference.ano || ''}${ascii(word)}`;
+}
+
+/**
+ * Format a reference as a BibTeX entry
+ * @param {Object} reference - Reference document
+ * @param {Object} options - { url, key }
+ * @returns {string} BibTeX entry
+ */
+function toBibTeX(reference, options = {}) {
+  const fields = [
+    ['title', reference.titulo],
+    ['author', (reference.autores || []).map(author => {
+      const { family, given } = parseAuthorName(author);
+      return given ? `${family}, ${given}` : family;
+    }).join(' and ')],
+    ['year', reference.ano],
+    ['doi', reference.DOI],
+    ['abstract', reference.resumo],
+    ['url', options.url]
+  ].filter(([, value]) => value !== undefined && value !== null && String(value).length > 0);
+
+  const body = fields
+    .map(([name, value]) => `  ${name} = {${escapeBibTeX(value)}}`)
+    .join(',\n');
+
+  return `@article{${options.key || bibtexKey(reference)},\n${body}\n}\n`;
+}
+
+/**
+ * Format a reference as a RIS record
+ * @param {Object} reference - Reference document
+ * @param {Object} options - { url }
+ * @returns {string} RIS record
+ */
+function toRIS(reference, options = {}) {
+  const clean = value => String(value).replace(/[\r\n]+/g, ' ').trim();
+  const lines = ['TY  - JOUR'];
+
+  lines.push(`TI  - ${clean(reference.titulo || '')}`);
+  (reference.autores || []).forEach(author => {
+    const { family, given } = parseAuthorName(author);
+    lines.push(`AU  - ${given ? `${family}, ${given}` : family}`);
+  });
+  if (reference.ano) lines.push(`PY  - ${reference.ano}`);
+  if (reference.DOI) lines.push(`DO  - ${clean(reference.DOI)}`);
+  if (reference.resumo) lines.push(`AB  - ${clean(reference.resumo)}`);
+  if (options.url) lines.push(`UR  - ${options.url}`);
+  lines.push('ER  - ');
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a reference as a CSL-JSON item
+ * @param {Object} reference - Reference document
+ * @param {Object} options - { url }
+ * @returns {Object} CSL-JSON item
+ */
+function toCSL(reference, options = {}) {
+  const item = {
+    id: String(reference._id),
+    type: 'article-journal',
+    title: reference.titulo,
+    author: (reference.autores || []).map(parseAuthorName),
+    issued: { 'date-parts': [[reference.ano]] }
+  };
+
+  if (reference.DOI) item.DOI = reference.DOI;
+  if (reference.resumo) item.abstract = reference.resumo;
+  if (options.url) item.URL = options.url;
+
+  return item;
+}
+
+/**
+ * Supported citation export formats
+ */
+const CitationFormats = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  csl: { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Format a single reference in the requested citation format
+ * @param {Object} reference - Reference document
+ * @param {string} format - bibtex, ris or csl
+ * @param {Object} options - { url }
+ * @returns {string} Formatted citation
+ */
+function formatCitation(reference, format, options = {}) {
+  switch (format) {
+  case 'bibtex':
+    return toBibTeX(reference, options);
+  case 'ris':
+    return toRIS(reference, options);
+  case 'csl':
+    return JSON.stringify([toCSL(reference, options)], null, 2) + '\n';
+  default:
+    throw new Error(`Formato de citação não suportado: ${format}`);
+  }
+}
+
+/**
+ * Write citations for every reference from a cursor to a stream
+ * BibTeX keys are made unique across the export (suffixes a, b, ...)
+ * @param {AsyncIterable<Object>} cursor - References
+ * @param {Writable} output - Destination stream
+ * @param {string} format - bibtex, ris or csl
+ * @param {Function} urlFor - Maps a reference to its public URL
+ * @returns {Promise<number>} Number of citations written
+ */
+async function writeCitations(cursor, output, format, urlFor = () => '') {
+  const usedKeys = new Set();
+  let count = 0;
+
+  const write = async chunk => {
+    if (!output.write(chunk)) {
+      await waitForDrain(output);
+    }
+  };
+
+  if (format === 'csl') await write('[\n');
+
+  for await (const reference of cursor) {
+    if (output.destroyed) break;
+
+    const url = urlFor(reference);
+    let chunk;
+
+    if (format === 'bibtex') {
+      const baseKey = bibtexKey(reference);
+      let key = baseKey;
+      for (let suffix = 0; usedKeys.has(key); suffix++) {
+        key = baseKey + String.fromCharCode(97 + (suffix % 26)) + (suffix >= 26 ? Math.floor(suffix / 26) : '');
+      }
+      usedKeys.add(key);
+      chunk = toBibTeX(reference, { url, key }) + '\n';
+    } else if (format === 'ris') {
+      chunk = toRIS(reference, { url }) + '\r\n';
+    } else {
+      chunk = (count > 0 ? ',\n' : '') + JSON.stringify(toCSL(reference, { url }), null, 2);
+    }
+
+    count++;
+    await write(chunk);
+  }
+
+  if (format === 'csl') await write('\n]\n');
+
+  logger.info(`Citation export wrote ${count} ${format} entries`);
+
+  return count;
+}
+
+module.exports = {
+  CitationFormats,
+  parseAuthorName,
+  formatABNT,
+  toBibTeX,
+  toRIS,
+  toCSL,
+  formatCitation,
+  writeCitations
+};
@@ -0,0 +1,390 @@
+/**
+ * Citation Parser Service
+ *
+ * The inverse of citation.js: parses a pasted citation into reference metadata (titulo, autores, ano,
+ * DOI, resumo) to prefill the data entry form. Accepted formats:
+ * - BibTeX entry (@article{...})
+ * - RIS record (TY  - JOUR ... ER  -)
+ * - Free-text ABNT (SOBRENOME, Nome. Título. ...) or APA
+ *   (Sobrenome, N. (2020). Título. ...) citation
+ *
+ * Authors are returned as "Nome Sobrenome" so that the comma-separated
+ * authors field is converted by formatAuthorABNT on submission
+ */
+
+/**
+ * Citation formats recognized by parseCitation
+ */
+const CitationInputFormats = {
+  BIBTEX: 'BibTeX',
+  RIS: 'RIS',
+  APA: 'APA',
+  ABNT: 'ABNT'
+};
+
+/**
+ * Maximum length of a pasted citation (characters)
+ */
+const CITATION_MAX_LENGTH = 20000;
+
+/**
+ * DOI anywhere in a text (optionally as a doi.org URL or "doi:" prefix)
+ */
+const DOI_PATTERN = /(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)?(10\.\d{4,9}\/[^\s"<>{}]+)/i;
+
+/**
+ * Publication year (1500-2099)
+ */
+const YEAR_PATTERN = /\b(1[5-9]\d{2}|20\d{2})\b/g;
+
+/**
+ * Combining marks for LaTeX accent commands
+ */
+const LATEX_ACCENTS = {
+  '`': '\u0300',
+  '\'': '\u0301',
+  '^': '\u0302',
+  '~': '\u0303',
+  '=': '\u0304',
+  'u': '\u0306',
+  '.': '\u0307',
+  '"': '\u0308',
+  'H': '\u030B',
+  'v': '\u030C',
+  'c': '\u0327'
+};
+
+/**
+ * Collapse whitespace
+ * @param {string} text - Text
+ * @returns {string} Trimmed text with single spaces
+ */
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert LaTeX markup of a BibTeX value to plain text
+ * @param {string} value - BibTeX field value
+ * @returns {string} Plain text
+ */
+function latexToText(value) {
+  return cleanText(String(value || '')
+    .replace(/\\i\b/g, 'i')
+    .replace(/\\([`'^~="."]|[uvHc](?![a-zA-Z]))\s*\{?\s*([a-zA-Z])\s*\}?/g,
+      (match, accent, letter) => letter + LATEX_ACCENTS[accent])
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/---?/g, '–')
+    .replace(/[{}]/g, ''))
+    .normalize('NFC');
+}
+
+/**
+ * Normalize a DOI (strip URL/prefix and trailing punctuation)
+ * @param {string} value - DOI, doi.org URL or text containing a DOI
+ * @returns {string} DOI (10.xxxx/...) or empty string
+ */
+function normalizeDoi(value) {
+  const match = DOI_PATTERN.exec(String(value || ''));
+  return match ? match[1].replace(/[.,;:)\]]+$/, '') : '';
+}
+
+/**
+ * Split a person name into given and family names
+ * Accepts "Sobrenome, Nome" and "Nome Sobrenome"
+ * @param {string} name - Author name
+ * @returns {Object} { given, family }
+ */
+function splitName(name) {
+  const text = cleanText(name);
+
+  if (text.includes(',')) {
+    const [family, ...given] = text.split(',');
+    return { given: cleanText(given.join(' ')), family: cleanText(family) };
+  }
+
+  const parts = text.split(' ');
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] || '' };
+}
+
+/**
+ * Format an author for the form's comma-separated authors field
+ * @param {string} name - Author name in any supported order
+ * @returns {string} "Nome Sobrenome"
+ */
+function toFormAuthor(name) {
+  const { given, family } = splitName(name);
+  return cleanText(`${given} ${family}`);
+}
+
+/**
+ * Read the fields of the first BibTeX entry
+ * @param {string} text - BibTeX text
+ * @returns {Object} Field name (lowercase) -> raw value
+ */
+function readBibtexFields(text) {
+  const entry = /@\w+\s*[{(]/.exec(text);
+  const fields = {};
+  if (!entry) return fields;
+
+  // Skip the citation key
+  let i = text.indexOf(',', entry.index + entry[0].length);
+  if (i === -1) return fields;
+  i++;
+
+  while (i < text.length) {
+    const name = /^\s*([\w-]+)\s*=\s*/.exec(text.slice(i));
+    if (!name) break;
+    i += name[0].length;
+
+    let value = '';
+    if (text[i] === '{' || text[i] === '"') {
+      const quote = text[i] === '"';
+      let depth = quote ? 0 : 1;
+      i++;
+
+      while (i < text.length) {
+        const char = text[i];
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        if ((quote && char === '"' && depth === 0) || (!quote && depth === 0)) break;
+        value += char;
+        i++;
+      }
+      i++;
+    } else {
+      const bare = /^[^,})\s]+/.exec(text.slice(i));
+      value = bare ? bare[0] : '';
+      i += value.length;
+    }
+
+    fields[name[1].toLowerCase()] = value;
+    i += /^\s*,?/.exec(text.slice(i))[0].length;
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a BibTeX entry
+ * @param {string} text - BibTeX text
+ * @returns {Object} Reference metadata
+ */
+function parseBibtex(text) {
+  const fields = readBibtexFields(text);
+  const year = /\d{4}/.exec(fields.year || fields.date || '');
+
+  return {
+    titulo: latexToText(fields.title),
+    autores: (fields.author ? fields.author.split(/\s+and\s+/i) : [])
+      .map(latexToText)
+      .filter(author => author && author.toLowerCase() !== 'others')
+      .map(toFormAuthor),
+    ano: year ? parseInt(year[0]) : 0,
+    DOI: normalizeDoi(fields.doi || fields.url),
+    resumo: latexToText(fields.abstract)
+  };
+}
+
+/**
+ * Parse the first record of a RIS file
+ * @param {string} text - RIS text
+ * @returns {Object} Reference metadata
+ */
+function parseRis(text) {
+  const tags = {};
+  let current = null;
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const tagged = /^([A-Z][A-Z0-9]) {2}-\s?(.*)$/.exec(line);
+
+    if (tagged) {
+      if (tagged[1] === 'ER') break;
+      current = tagged[1];
+      (tags[current] = tags[current] || []).push(tagged[2].trim());
+    } else if (current && line.trim()) {
+      // Continuation line (long abstracts)
+      const values = tags[current];
+      values[values.length - 1] += ` ${line.trim()}`;
+    }
+  }
+
+  const first = (...names) => {
+    const name = names.find(tag => tags[tag] && tags[tag][0]);
+    return name ? tags[name][0] : '';
+  };
+  const year = /\d{4}/.exec(first('PY', 'Y1', 'DA'));
+
+  return {
+    titulo: cleanText(first('TI', 'T1', 'CT', 'BT')),
+    autores: [...(tags.AU || []), ...(tags.A1 || [])].filter(Boolean).map(toFormAuthor),
+    ano: year ? parseInt(year[0]) : 0,
+    DOI: normalizeDoi(first('DO', 'M3') || (tags.UR || []).find(url => DOI_PATTERN.test(url))),
+    resumo: cleanText(first('AB', 'N2'))
+  };
+}
+
+/**
+ * First sentence of a text (the title, in ABNT and APA citations)
+ * @param {string} text - Text after the authors (and year, in APA)
+ * @returns {string} Title
+ */
+function firstSentence(text) {
+  const match = /^(.+?)([.?!])(?=\s|$)/.exec(text);
+  if (!match) return cleanText(text);
+
+  return cleanText(match[2] === '.' ? match[1] : match[1] + match[2]);
+}
+
+/**
+ * Split the authors of an APA citation
+ * "Silva, J. C., Santos, M., & Souza, A." -> ["Silva, J. C.", "Santos, M.", "Souza, A."]
+ * @param {string} text - Authors part (before the year)
+ * @returns {Array<string>} Author names
+ */
+function splitApaAuthors(text) {
+  return text
+    .replace(/,?\s*(?:&|\band\b|\be\b)\s+/g, ', ')
+    .replace(/,?\s*et al\.?/i, '')
+    .split(/(?<=\.),\s+/)
+    .map(cleanText)
+    .filter(Boolean);
+}
+
+/**
+ * Find the end of the authors block of an ABNT citation
+ * The block ends at the first ". " that is not followed by another initial
+ * ("SILVA, J. C. Título" ends after "C.")
+ * @param {string} text - Citation
+ * @returns {Object|null} { autores, resto }
+ */
+function splitAbntAuthors(text) {
+  const separator = /\.\s+/g;
+  let match;
+
+  while ((match = separator.exec(text)) !== null) {
+    const rest = text.slice(match.index + match[0].length);
+
+    if (!/^[A-ZÀ-Ý]\.(?:\s|[-;,]|[A-ZÀ-Ý]\.|$)/.test(rest)) {
+      return { autores: text.slice(0, match.index + 1), resto: rest };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a free-text ABNT or APA citation
+ * @param {string} text - Citation
+ * @returns {Object} { formato, reference }
+ */
+function parseFreeText(text) {
+  const citation = cleanText(text);
+  const DOI = normalizeDoi(citation);
+
+  // DOI, URL and access notes are not part of the title
+  const body = cleanText(citation
+    .replace(new RegExp(DOI_PATTERN.source, 'gi'), '')
+    .replace(/\b(?:Disponível em|Available (?:at|from)|Acesso em|Accessed)\b.*$/i, ''));
+
+  const apa = /^(.+?)\s*\(((?:1[5-9]|20)\d{2})[a-z]?(?:,[^)]*)?\)\.?\s*(.*)$/.exec(body);
+  if (apa) {
+    return {
+      formato: CitationInputFormats.APA,
+      reference: {
+        titulo: firstSentence(apa[3]),
+        autores: splitApaAuthors(apa[1]).map(toFormAuthor),
+        ano: parseInt(apa[2]),
+        DOI,
+        resumo: ''
+      }
+    };
+  }
+
+  const abnt = splitAbntAuthors(body.replace(/\s*\bet al\.?/gi, '.').replace(/\.\.+/g, '.'));
+  const years = body.match(YEAR_PATTERN) || [];
+  const authors = abnt && abnt.autores.includes(',')
+    ? abnt.autores.replace(/(\p{L}{2,})\.$/u, '$1').split(/\s*;\s*/).filter(Boolean)
+    : [];
+
+  return {
+    formato: CitationInputFormats.ABNT,
+    reference: {
+      titulo: authors.length > 0 ? firstSentence(abnt.resto) : '',
+      autores: authors.map(toFormAuthor),
+      ano: years.length > 0 ? parseInt(years[years.length - 1]) : 0,
+      DOI,
+      resumo: ''
+    }
+  };
+}
+
+/**
+ * Parse a pasted citation
+ * @param {string} text - BibTeX entry, RIS record or ABNT/APA citation
+ * @returns {Object} { isValid, errors, formato, reference: { titulo, autores,
+ *   ano, DOI, resumo }, encontrados: names of the fields found }
+ */
+function parseCitation(text) {
+  const citation = String(text || '').replace(/^\uFEFF/, '').trim();
+  const empty = { titulo: '', autores: [], ano: 0, DOI: '', resumo: '' };
+
+  if (citation.length === 0) {
+    return { isValid: false, errors: ['Cole uma citação para preencher o formulário'], formato: null, reference: empty, encontrados: [] };
+  }
+
+  if (citation.length > CITATION_MAX_LENGTH) {
+    return {
+      isValid: false,
+      errors: [`A citação deve ter no máximo ${CITATION_MAX_LENGTH} caracteres`],
+      formato: null,
+      reference: empty,
+      encontrados: []
+    };
+  }
+
+  let formato;
+  let reference;
+
+  if (/^@\w+\s*[{(]/.test(citation)) {
+    formato = CitationInputFormats.BIBTEX;
+    reference = parseBibtex(citation);
+  } else if (/^TY {2}- /m.test(citation)) {
+    formato = CitationInputFormats.RIS;
+    reference = parseRis(citation);
+  } else {
+    ({ formato, reference } = parseFreeText(citation));
+  }
+
+  const labels = { titulo: 'título', autores: 'autores', ano: 'ano', DOI: 'DOI', resumo: 'resumo' };
+  const encontrados = Object.keys(labels).filter(field => (
+    Array.isArray(reference[field]) ? reference[field].length > 0 : Boolean(reference[field])
+  ));
+
+  if (!encontrados.includes('titulo') && !encontrados.includes('autores')) {
+    return {
+      isValid: false,
+      errors: ['Não foi possível reconhecer a citação. Use BibTeX, RIS ou uma referência no formato ABNT ou APA'],
+      formato,
+      reference: empty,
+      encontrados: []
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    formato,
+    reference,
+    encontrados: encontrados.map(field => labels[field])
+  };
+}
+
+module.exports = {
+  CitationInputFormats,
+  normalizeDoi,
+  parseBibtex,
+  parseRis,
+  parseFreeText,
+  parseCitation
+};
@@ -0,0 +1,299 @@
+/**
+ * Darwin Core Archive Service
+ *
+ * Maps approved references to Darwin Core terms and writes a
+ * Darwin Core Archive (zip with meta.xml, eml.xml, core and extensions)
+ * for publishing to GBIF, SiBBr and other biodiversity networks
+ *
+ * Mapping:
+ * - Core (occurrence.txt): one Occurrence per plant record of a community
+ * - Extension (measurementorfact.txt): use types and community type
+ * - Extension (resourcerelationship.txt): plant "used by" community
+ */
+
+const { Readable } = require('stream');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const config = require('../shared/config');
+const logger = require('../shared/logger');
+const { streamReferences } = require('./database');
+const { formatABNT } = require('./citation');
+const { escapeXml } = require('../shared/utils/sanitize');
+
+const DWC = 'http://rs.tdwg.org/dwc/terms/';
+const DC = 'http://purl.org/dc/terms/';
+
+/**
+ * Archive files: name, row type and columns (term URIs, first column is the id)
+ */
+const CORE = {
+  file: 'occurrence.txt',
+  rowType: `${DWC}Occurrence`,
+  terms: [
+    `${DWC}occurrenceID`,
+    `${DWC}basisOfRecord`,
+    `${DWC}scientificName`,
+    `${DWC}vernacularName`,
+    `${DWC}kingdom`,
+    `${DWC}country`,
+    `${DWC}countryCode`,
+    `${DWC}stateProvince`,
+    `${DWC}municipality`,
+    `${DWC}locality`,
+    `${DWC}occurrenceRemarks`,
+    `${DWC}identificationRemarks`,
+    `${DWC}associatedReferences`,
+    `${DC}bibliographicCitation`,
+    `${DC}references`,
+    `${DC}language`
+  ]
+};
+
+const EXTENSIONS = [
+  {
+    file: 'measurementorfact.txt',
+    rowType: `${DWC}MeasurementOrFact`,
+    terms: [
+      `${DWC}occurrenceID`,
+      `${DWC}measurementID`,
+      `${DWC}measurementType`,
+      `${DWC}measurementValue`,
+      `${DWC}measurementRemarks`
+    ]
+  },
+  {
+    file: 'resourcerelationship.txt',
+    rowType: `${DWC}ResourceRelationship`,
+    terms: [
+      `${DWC}occurrenceID`,
+      `${DWC}resourceRelationshipID`,
+      `${DWC}relatedResourceID`,
+      `${DWC}relationshipOfResource`,
+      `${DWC}relationshipRemarks`
+    ]
+  }
+];
+
+/**
+ * Map one reference to Darwin Core rows for every archive file
+ * @param {Object} reference - Approved reference document
+ * @param {string} baseUrl - Public base URL for record links (optional)
+ * @returns {Object} { occurrences, measurements, relationships } - arrays of rows (arrays)
+ */
+function mapReference(reference, baseUrl = '') {
+  const refId = String(reference._id);
+  const citation = formatABNT(reference);
+  const doiUrl = reference.DOI ? `https://doi.org/${reference.DOI}` : '';
+  const recordUrl = baseUrl ? `${baseUrl}/reference/${refId}` : '';
+
+  const occurrences = [];
+  const measurements = [];
+  const relationships = [];
+
+  (reference.comunidades || []).forEach((comunidade, cIdx) => {
+    const communityId = `etnodb:${refId}:${cIdx}`;
+    const communityLabel = [comunidade.nome, comunidade.tipo].filter(Boolean).join(' - ');
+
+    (comunidade.plantas || []).forEach((planta, pIdx) => {
+      const occurrenceId = `${communityId}:${pIdx}`;
+      const [scientificName = '', ...otherNames] = planta.nomeCientifico || [];
+
+      occurrences.push([
+        occurrenceId,
+        'HumanObservation',
+        scientificName,
+        (planta.nomeVernacular || []).join(' | '),
+        'Plantae',
+        'Brasil',
+        'BR',
+        comunidade.estado,
+        comunidade.municipio,
+        comunidade.local,
+        `Planta citada pela comunidade ${communityLabel}`,
+        otherNames.length > 0 ? `Outros nomes científicos citados: ${otherNames.join(', ')}` : '',
+        [doiUrl, citation].filter(Boolean).join(' | '),
+        citation,
+        recordUrl,
+        'pt'
+      ]);
+
+      (planta.tipoUso || []).forEach((uso, uIdx) => {
+        measurements.push([occurrenceId, `${occurrenceId}:uso:${uIdx}`, 'tipo de uso', uso, 'Uso relatado pela comunidade']);
+      });
+
+      if (comunidade.tipo) {
+        measurements.push([occurrenceId, `${occurrenceId}:tipoComunidade`, 'tipo de comunidade', comunidade.tipo, 'Decreto nº 11.481/2023']);
+      }
+
+      relationships.push([
+        occurrenceId,
+        `${occurrenceId}:comunidade`,
+        communityId,
+        'usada por',
+        [communityLabel, comunidade.municipio, comunidade.estado].filter(Boolean).join(', ')
+      ]);
+    });
+  });
+
+  return { occurrences, measurements, relationships };
+}
+
+/**
+ * Build meta.xml describing the archive files
+ * @returns {string} XML document
+ */
+function buildMetaXml() {
+  const fileXml = (spec, tag, idTag) => {
+    const fields = spec.terms
+      .map((term, idx) => `    <field index="${idx}" term="${term}"/>`)
+      .join('\n');
+
+    return `  <${tag} encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="${spec.rowType}">
+    <files>
+      <location>${spec.file}</location>
+    </files>
+    <${idTag} index="0"/>
+${fields}
+  </${tag}>`;
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+${fileXml(CORE, 'core', 'id')}
+${EXTENSIONS.map(ext => fileXml(ext, 'extension', 'coreid')).join('\n')}
+</archive>
+`;
+}
+
+/**
+ * Build eml.xml dataset metadata from config.dataset
+ * @param {Object} options - { baseUrl, pubDate }
+ * @returns {string} XML document
+ */
+function buildEmlXml(options = {}) {
+  const { title, publisher, contactEmail, license } = config.dataset;
+  const pubDate = (options.pubDate || new Date()).toISOString().slice(0, 10);
+  const party = `
+      <organizationName>${escapeXml(publisher)}</organizationName>${contactEmail ? `
+      <electronicMailAddress>${escapeXml(contactEmail)}</electronicMailAddress>` : ''}${options.baseUrl ? `
+      <onlineUrl>${escapeXml(options.baseUrl)}</onlineUrl>` : ''}`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="eml://ecoinformatics.org/eml-2.1.1 http://rs.gbif.org/schema/eml-gbif-profile/1.1/eml.xsd"
+         packageId="etnodb-${pubDate}" system="etnoDB" xml:lang="por">
+  <dataset>
+    <title xml:lang="por">${escapeXml(title)}</title>
+    <creator>${party}
+    </creator>
+    <metadataProvider>${party}
+    </metadataProvider>
+    <pubDate>${pubDate}</pubDate>
+    <language>por</language>
+    <abstract>
+      <para>Dados secundários sobre o uso de plantas por povos e comunidades tradicionais do Brasil, extraídos de publicações científicas e revisados por curadores.</para>
+    </abstract>
+    <keywordSet>
+      <keyword>etnobotânica</keyword>
+      <keyword>comunidades tradicionais</keyword>
+      <keyword>uso de plantas</keyword>
+    </keywordSet>
+    <intellectualRights>
+      <para>${escapeXml(license)}</para>
+    </intellectualRights>
+    <coverage>
+      <geographicCoverage>
+        <geographicDescription>Brasil</geographicDescription>
+        <boundingCoordinates>
+          <westBoundingCoordinate>-74.0</westBoundingCoordinate>
+          <eastBoundingCoordinate>-28.8</eastBoundingCoordinate>
+          <northBoundingCoordinate>5.3</northBoundingCoordinate>
+          <southBoundingCoordinate>-33.8</southBoundingCoordinate>
+        </boundingCoordinates>
+      </geographicCoverage>
+    </coverage>
+    <contact>${party}
+    </contact>
+  </dataset>
+</eml:eml>
+`;
+}
+
+/**
+ * Stream one archive data file (header + rows) from a fresh cursor
+ * The cursor opens only when the archiver starts reading this entry,
+ * so files are produced one after another with bounded memory
+ * @param {Object} query - MongoDB query
+ * @param {Object} spec - CORE or an EXTENSIONS entry
+ * @param {string} rowsKey - Key of mapReference result to write
+ * @param {string} baseUrl - Public base URL
+ * @returns {Readable} Text stream
+ */
+function dataFileStream(query, spec, rowsKey, baseUrl) {
+  async function* lines() {
+    yield formatRow(spec.terms.map(term => term.split('/').pop()));
+
+    const cursor = streamReferences(query);
+    try {
+      for await (const reference of cursor) {
+        for (const row of mapReference(reference, baseUrl)[rowsKey]) {
+          yield formatRow(row);
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  return Readable.from(lines());
+}
+
+/**
+ * Format a tab-separated row (no quoting; tabs and line breaks become spaces)
+ * @param {Array} values - Cell values
+ * @returns {string} Line terminated with \n
+ */
+function formatRow(values) {
+  return values
+    .map(value => (value === null || value === undefined ? '' : String(value)).replace(/[\t\r\n]+/g, ' '))
+    .join('\t') + '\n';
+}
+
+/**
+ * Write a Darwin Core Archive for the references matching a query
+ * @param {Object} query - MongoDB query (must restrict to approved references)
+ * @param {Writable} output - Destination stream (file or HTTP response)
+ * @param {Object} options - { baseUrl }
+ * @returns {Promise<number>} Archive size in bytes, once the output has finished
+ */
+async function writeDarwinCoreArchive(query, output, options = {}) {
+  const { baseUrl = '' } = options;
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('warning', warning => logger.error('Darwin Core Archive warning:', warning.message));
+  archive.pipe(output);
+
+  archive.append(buildMetaXml(), { name: 'meta.xml' });
+  archive.append(buildEmlXml({ baseUrl }), { name: 'eml.xml' });
+  archive.append(dataFileStream(query, CORE, 'occurrences', baseUrl), { name: CORE.file });
+  archive.append(dataFileStream(query, EXTENSIONS[0], 'measurements', baseUrl), { name: EXTENSIONS[0].file });
+  archive.append(dataFileStream(query, EXTENSIONS[1], 'relationships', baseUrl), { name: EXTENSIONS[1].file });
+
+  // The archive ends before the destination has flushed it: wait for the
+  // output to finish so a file written by the export script is complete
+  await Promise.all([archive.finalize(), finished(output)]);
+
+  logger.info(`Darwin Core Archive written (${archive.pointer()} bytes)`);
+
+  return archive.pointer();
+}
+
+module.exports = {
+  CORE,
+  EXTENSIONS,
+  mapReference,
+  buildMetaXml,
+  buildEmlXml,
+  writeDarwinCoreArchive
+};
@@ -5,14 +5,17 @@
  * Abstracts MongoDB operations with error handling
  */
 
-const { ObjectId } = require('mongodb');
+const { ObjectId, BSON } = require('mongodb');
 const database = require('../shared/database');
 const config = require('../shared/config');
 const logger = require('../shared/logger');
+const { sanitizeObjectId } = require('../shared/utils/sanitize');
+const { sanitizeRegex, buildSearchFields, normalizeText } = require('./search');
 const { createReference, updateReference, Status } = require('../models/Reference');
 
 /**
  * Insert new reference
+ * Also stores the normalized "busca" shadow field used by search filters
  * @param {Object} referenceData - Reference data
  * @returns {Promise<Object>} Inserted document with _id
  */
@@ -20,6 +23,7 @@ async function insertReference(referenceData) {
   try {
     const collection = database.getCollection(config.database.collection);
     const reference = createReference(referenceData);
+    reference.busca = buildSearchFields(reference);
 
     const result = await collection.insertOne(reference);
 
@@ -70,6 +74,231 @@ async function findReferences(query = {}, options = {}) {
   }
 }
 
+/**
+ * Default order for keyset pagination: newest first, _id breaking ties
+ */
+const DEFAULT_KEYSET_SORT = { createdAt: -1, _id: -1 };
+
+/**
+ * Make a sort usable for keyset pagination
+ * Relevance ($meta) sorts have no stable key and fall back to the default;
+ * _id is appended so every position is unique
+ * @param {Object} sort - Sort specification
+ * @returns {Object} Keyset sort ending in _id
+ */
+function keysetSort(sort) {
+  if (!sort || Object.values(sort).some(direction => typeof direction !== 'number')) {
+    return DEFAULT_KEYSET_SORT;
+  }
+
+  if ('_id' in sort) return sort;
+
+  const keys = Object.keys(sort);
+  return { ...sort, _id: keys.length > 0 ? sort[keys[keys.length - 1]] : -1 };
+}
+
+/**
+ * Read a (dotted) field from a document
+ * @param {Object} doc - Document
+ * @param {string} path - Field path, e.g. "busca.titulo"
+ * @returns {any} Value or null when missing
+ */
+function getPath(doc, path) {
+  const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Build the opaque "after" token for the position of a reference
+ * Holds the sort keys and the reference's values for them (Extended JSON,
+ * so dates and ObjectIds survive)
+ * @param {Object} reference - Last reference of a page
+ * @param {Object} sort - Keyset sort (see keysetSort)
+ * @returns {string} Base64url token
+ */
+function encodeAfterToken(reference, sort) {
+  const keys = Object.keys(sort);
+  const payload = {
+    k: keys.map(key => `${key}:${sort[key]}`),
+    v: keys.map(key => getPath(reference, key))
+  };
+
+  return Buffer.from(BSON.EJSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode an "after" token
+ * @param {string} token - Token from encodeAfterToken
+ * @param {Object} sort - Keyset sort the token must have been built with
+ * @returns {Array|null} Sort key values, or null when the token is invalid
+ *   or belongs to another sort order
+ */
+function decodeAfterToken(token, sort) {
+  try {
+    const payload = BSON.EJSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const keys = Object.keys(sort).map(key => `${key}:${sort[key]}`);
+
+    if (!Array.isArray(payload.k) || !Array.isArray(payload.v) ||
+        payload.k.join('|') !== keys.join('|') || payload.v.length !== keys.length) {
+      return null;
+    }
+
+    return payload.v;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the condition selecting documents after a position in a sort
+ * (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+ * Missing values sort lowest in MongoDB: first ascending, last descending
+ * @param {Object} sort - Keyset sort
+ * @param {Array} values - Sort key values of the last document seen
+ * @returns {Object} MongoDB condition
+ */
+function keysetCondition(sort, values) {
+  const keys = Object.keys(sort);
+
+  const after = (key, direction, value) => {
+    if (value === null) {
+      return direction === 1 ? { [key]: { $ne: null } } : null;
+    }
+
+    return direction === 1
+      ? { [key]: { $gt: value } }
+      : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+  };
+
+  const branches = keys
+    .map((key, idx) => {
+      const next = after(key, sort[key], values[idx]);
+      if (!next) return null;
+
+      const equalities = keys.slice(0, idx).map((previous, j) => ({ [previous]: values[j] }));
+      return { $and: [...equalities, next] };
+    })
+    .filter(Boolean);
+
+  // Nothing can come after this position
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+}
+
+/**
+ * Make sure a projection returns the fields needed to build "after" tokens
+ * @param {Object} projection - Projection
+ * @param {Object} sort - Keyset sort
+ * @returns {Object} Projection
+ */
+function withSortFields(projection, sort) {
+  const keys = Object.keys(projection);
+  const inclusive = keys.some(key => key !== '_id' && projection[key]);
+  const result = { ...projection };
+
+  Object.keys(sort).forEach(sortKey => {
+    if (inclusive) {
+      result[sortKey] = 1;
+    } else {
+      // Drop exclusions hiding a sort key (e.g. busca: 0 with busca.titulo)
+      keys
+        .filter(key => !projection[key] && (sortKey === key || sortKey.startsWith(`${key}.`)))
+        .forEach(key => delete result[key]);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Find references with keyset (cursor) pagination
+ * Pages start after the position in the "after" token instead of skipping
+ * documents, so deep pages stay fast, no count is needed, and records
+ * approved meanwhile do not shift the pages already read
+ * @param {Object} query - MongoDB query
+ * @param {Object} options - { sort, limit, after, projection }
+ * @returns {Promise<Object>} { references, limit, next } - next is the token
+ *   for the following page, or null on the last page
+ */
+async function findReferencesAfter(query = {}, options = {}) {
+  try {
+    const collection = database.getCollection(config.database.collection);
+    const sort = keysetSort(options.sort);
+    const limit = options.limit || 50;
+    let filter = query;
+
+    if (options.after) {
+      const values = decodeAfterToken(options.after, sort);
+      if (!values) {
+        throw new Error('Cursor de paginação inválido');
+      }
+
+      filter = { ...query, $and: [...(query.$and || []), keysetCondition(sort, values)] };
+    }
+
+    // One extra document tells whether there is a next page
+    const references = await collection
+      .find(filter, { projection: withSortFields(options.projection || {}, sort) })
+      .sort(sort)
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = references.length > limit;
+    if (hasMore) references.pop();
+
+    logger.database(`Keyset page returned ${references.length} references${hasMore ? ' (more available)' : ''}`);
+
+    return {
+      references,
+      limit,
+      next: hasMore ? encodeAfterToken(references[references.length - 1], sort) : null
+    };
+  } catch (error) {
+    logger.error('Failed to find references page:', error.message);
+    throw new Error(`Falha ao buscar referências: ${error.message}`);
+  }
+}
+
+/**
+ * Stream references for exports
+ * Reads keyset pages of batchSize documents one after another, so no
+ * server cursor stays open for the whole export and memory stays bounded
+ * The caller must iterate to completion or call close()
+ * @param {Object} query - MongoDB query
+ * @param {Object} options - Stream options (projection, sort, batchSize)
+ * @returns {AsyncIterable<Object>} References, with an async close() method
+ */
+function streamReferences(query = {}, options = {}) {
+  const {
+    projection = {},
+    sort = DEFAULT_KEYSET_SORT,
+    batchSize = 100
+  } = options;
+  let closed = false;
+
+  logger.database('Opening keyset reference stream');
+
+  return {
+    async *[Symbol.asyncIterator]() {
+      let after = null;
+
+      do {
+        const page = await findReferencesAfter(query, { projection, sort, limit: batchSize, after });
+
+        for (const reference of page.references) {
+          if (closed) return;
+          yield reference;
+        }
+
+        after = page.next;
+      } while (after && !closed);
+    },
+
+    async close() {
+      closed = true;
+    }
+  };
+}
+
 /**
  * Find reference by ID
  * @param {string|ObjectId} id - Reference ID
@@ -95,8 +324,64 @@ async function findReferenceById(id) {
   }
 }
 
+/**
+ * Find a publicly visible reference by ID
+ * Malformed IDs and references that are not approved resolve to null,
+ * so public routes cannot reveal pending or rejected submissions
+ * @param {string} id - Reference ID
+ * @returns {Promise<Object|null>} Approved reference or null
+ */
+async function findApprovedReferenceById(id) {
+  const validId = sanitizeObjectId(id);
+  if (!validId) return null;
+
+  const reference = await findReferenceById(validId);
+
+  if (!reference || reference.status !== Status.APPROVED) {
+    return null;
+  }
+
+  return reference;
+}
+
+/**
+ * Find references with a given DOI (any status)
+ * DOIs are case-insensitive; stored values written as doi.org URLs or with
+ * a "doi:" prefix also match
+ * @param {string} doi - Normalized DOI (10.xxxx/...)
+ * @param {Object} options - { excludeId: reference to leave out }
+ * @returns {Promise<Array>} [{ _id, titulo, autores, ano, DOI, status }]
+ */
+async function findReferencesByDoi(doi, options = {}) {
+  if (!doi) return [];
+
+  try {
+    const collection = database.getCollection(config.database.collection);
+    const query = {
+      DOI: { $regex: `^(?:https?://(?:dx\\.)?doi\\.org/|doi:\\s*)?${sanitizeRegex(doi)}$`, $options: 'i' }
+    };
+
+    const excludeId = options.excludeId && sanitizeObjectId(String(options.excludeId));
+    if (excludeId) {
+      query._id = { $ne: new ObjectId(excludeId) };
+    }
+
+    const references = await collection
+      .find(query, { projection: { titulo: 1, autores: 1, ano: 1, DOI: 1, status: 1 } })
+      .toArray();
+
+    logger.database(`Found ${references.length} references with DOI ${doi}`);
+
+    return references;
+  } catch (error) {
+    logger.error('Failed to find references by DOI:', error.message);
+    throw new Error(`Falha ao buscar referências pelo DOI: ${error.message}`);
+  }
+}
+
 /**
  * Update reference by ID
+ * Recomputes the "busca" shadow field when communities are updated
  * @param {string|ObjectId} id - Reference ID
  * @param {Object} updateData - Data to update
  * @returns {Promise<Object>} Updated reference
@@ -114,6 +399,11 @@ async function updateReferenceById(id, updateData) {
 
     const updatedDoc = updateReference(updateData);
 
+    // Keep the normalized search field in sync (full edits always carry comunidades)
+    if (Array.isArray(updatedDoc.comunidades)) {
+      updatedDoc.busca = buildSearchFields(updatedDoc);
+    }
+
     logger.database(`Executing findOneAndUpdate for ObjectId: ${objectId}`);
 
     // MongoDB driver v6+ returns document directly, not { value: document }
@@ -123,7 +413,7 @@ async function updateReferenceById(id, updateData) {
       { returnDocument: 'after' }
     );
 
-    logger.database(`findOneAndUpdate completed, checking result...`);
+    logger.database('findOneAndUpdate completed, checking result...');
 
     // In MongoDB driver v6+, the document is returned directly
     if (!result) {
@@ -133,6 +423,8 @@ async function updateReferenceById(id, updateData) {
 
     logger.database(`Reference updated successfully with ID: ${id}`);
 
+    invalidateStatistics();
+
     return result;
   } catch (error) {
     logger.error(`Failed to update reference ${id}:`, error.message);
@@ -155,16 +447,19 @@ async function updateReferenceStatus(id, status) {
 
     const collection = database.getCollection(config.database.collection);
     const objectId = typeof id === 'string' ? new ObjectId(id) : id;
+    const now = new Date();
+    const update = { $set: { status, updatedAt: now } };
+
+    // Approval time drives the public feed: $min sets it on the first
+    // approval only, so re-approving never lists a reference as new again
+    if (status === Status.APPROVED) {
+      update.$min = { approvedAt: now };
+    }
 
     // MongoDB driver v6+ returns document directly, not { value: document }
     const result = await collection.findOneAndUpdate(
       { _id: objectId },
-      {
-        $set: {
-          status,
-          updatedAt: new Date()
-        }
-      },
+      update,
       { returnDocument: 'after' }
     );
 
@@ -174,6 +469,8 @@ async function updateReferenceStatus(id, status) {
 
     logger.database(`Reference status updated to "${status}" for ID: ${id}`);
 
+    invalidateStatistics();
+
     return result;
   } catch (error) {
     logger.error('Failed to update reference status:', error.message);
@@ -199,6 +496,8 @@ async function deleteReferenceById(id) {
 
     logger.database(`Reference deleted with ID: ${id}`);
 
+    invalidateStatistics();
+
     return true;
   } catch (error) {
     logger.error('Failed to delete reference:', error.message);
@@ -227,44 +526,659 @@ async function countReferences(query = {}) {
 
 /**
  * Search references with pagination
+ * Without an explicit sort, queries with $text are sorted by relevance
+ * (textScore) and other queries by createdAt
  * @param {Object} query - MongoDB query
  * @param {number} page - Page number (1-based)
  * @param {number} limit - Results per page
- * @returns {Promise<Object>} { references, total, page, totalPages }
+ * @param {Object} options - Search options
+ * @param {boolean} options.facets - Also compute facet counts (default: false)
+ * @param {Object} options.sort - Sort specification (see SortOptions in search.js)
+ * @returns {Promise<Object>} { references, total, page, limit, totalPages[, next][, facets] }
  */
-async function searchReferences(query = {}, page = 1, limit = 50) {
+async function searchReferences(query = {}, page = 1, limit = 50, options = {}) {
   try {
     const skip = (page - 1) * limit;
+    const findOptions = { limit, skip };
+
+    if (options.sort) {
+      findOptions.sort = keysetSort(options.sort);
+    } else if (query.$text) {
+      // Full-text queries are ranked by relevance, newest first on ties
+      findOptions.projection = { score: { $meta: 'textScore' } };
+      findOptions.sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+    } else {
+      findOptions.sort = DEFAULT_KEYSET_SORT;
+    }
 
-    const [references, total] = await Promise.all([
-      findReferences(query, { limit, skip }),
-      countReferences(query)
+    const [references, total, facets] = await Promise.all([
+      findReferences(query, findOptions),
+      countReferences(query),
+      options.facets ? getSearchFacets(query) : null
     ]);
 
     const totalPages = Math.ceil(total / limit);
 
     logger.database(`Search returned ${references.length} of ${total} total references (page ${page}/${totalPages})`);
 
-    return {
+    const result = {
       references,
       total,
       page,
       limit,
       totalPages
     };
+
+    // Token to continue with findReferencesAfter (relevance order has no keyset)
+    if (page < totalPages && !findOptions.projection && references.length > 0) {
+      result.next = encodeAfterToken(references[references.length - 1], findOptions.sort);
+    }
+
+    if (facets) {
+      result.facets = facets;
+    }
+
+    return result;
   } catch (error) {
     logger.error('Failed to search references:', error.message);
     throw new Error(`Falha na busca: ${error.message}`);
   }
 }
 
+/**
+ * Maximum number of values returned per facet
+ */
+const FACET_LIMIT = 30;
+
+/**
+ * Build facet pipeline counting distinct references per value of a field
+ * A reference with two communities in the same state counts once
+ * @param {string[]} unwindPaths - Array paths to unwind, outermost first
+ * @param {string} valuePath - Field holding the facet value
+ * @returns {Array} Aggregation sub-pipeline
+ */
+function referenceCountFacet(unwindPaths, valuePath) {
+  return [
+    ...unwindPaths.map(path => ({ $unwind: `$${path}` })),
+    { $match: { [valuePath]: { $nin: [null, ''] } } },
+    { $group: { _id: { ref: '$_id', value: `$${valuePath}` } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  ];
+}
+
+/**
+ * Compute facet counts for a search result set
+ * Counts are numbers of matching references per value
+ * @param {Object} query - MongoDB query (same as searchReferences)
+ * @returns {Promise<Object>} { estado, tipo, uso, ano } - arrays of { value, count }
+ */
+async function getSearchFacets(query = {}) {
+  try {
+    const collection = database.getCollection(config.database.collection);
+
+    const [result] = await collection.aggregate([
+      { $match: query },
+      {
+        $facet: {
+          estado: referenceCountFacet(['comunidades'], 'comunidades.estado'),
+          tipo: referenceCountFacet(['comunidades'], 'comunidades.tipo'),
+          uso: referenceCountFacet(
+            ['comunidades', 'comunidades.plantas', 'comunidades.plantas.tipoUso'],
+            'comunidades.plantas.tipoUso'
+          ),
+          ano: [
+            { $group: { _id: '$ano', count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+            { $limit: FACET_LIMIT }
+          ]
+        }
+      }
+    ]).toArray();
+
+    const facets = {};
+    Object.keys(result || {}).forEach(name => {
+      facets[name] = result[name].map(bucket => ({ value: bucket._id, count: bucket.count }));
+    });
+
+    logger.database(`Computed facets: ${Object.keys(facets).join(', ')}`);
+
+    return facets;
+  } catch (error) {
+    logger.error('Failed to compute search facets:', error.message);
+    throw new Error(`Falha ao calcular facetas: ${error.message}`);
+  }
+}
+
+/**
+ * Aggregation expression merging an array of arrays into a sorted set
+ * @param {string} field - Field holding the array of arrays
+ * @returns {Object} Aggregation expression
+ */
+function unionOf(field) {
+  return {
+    $reduce: {
+      input: field,
+      initialValue: [],
+      in: { $setUnion: ['$$value', { $ifNull: ['$$this', []] }] }
+    }
+  };
+}
+
+/**
+ * List scientific names documented in approved references
+ * Each entry aggregates every reference and community citing the name
+ * @param {Object} options - Listing options
+ * @param {string} options.prefix - Only names starting with this text (case-insensitive)
+ * @param {number} options.page - Page number (1-based, default: 1)
+ * @param {number} options.limit - Species per page (default: 100)
+ * @returns {Promise<Object>} { species, total, page, limit, totalPages }
+ */
+async function listSpecies(options = {}) {
+  try {
+    const { prefix = '', page = 1, limit = 100 } = options;
+    const collection = database.getCollection(config.database.collection);
+
+    const nameMatch = prefix
+      ? { $regex: `^${sanitizeRegex(prefix)}`, $options: 'i' }
+      : { $nin: [null, ''] };
+
+    const [result] = await collection.aggregate([
+      { $match: { status: Status.APPROVED, 'comunidades.plantas.nomeCientifico': nameMatch } },
+      { $unwind: '$comunidades' },
+      { $unwind: '$comunidades.plantas' },
+      { $unwind: '$comunidades.plantas.nomeCientifico' },
+      { $match: { 'comunidades.plantas.nomeCientifico': nameMatch } },
+      {
+        $group: {
+          _id: '$comunidades.plantas.nomeCientifico',
+          references: { $addToSet: '$_id' },
+          communities: { $addToSet: { referenceId: '$_id', nome: '$comunidades.nome' } },
+          vernaculares: { $push: '$comunidades.plantas.nomeVernacular' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          nomeCientifico: '$_id',
+          referenceCount: { $size: '$references' },
+          communityCount: { $size: '$communities' },
+          nomesVernaculares: unionOf('$vernaculares')
+        }
+      },
+      { $sort: { nomeCientifico: 1 } },
+      {
+        $facet: {
+          species: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).toArray();
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const totalPages = Math.ceil(total / limit);
+
+    logger.database(`Species index returned ${result.species.length} of ${total} names (page ${page}/${totalPages})`);
+
+    return {
+      species: result.species,
+      total,
+      page,
+      limit,
+      totalPages
+    };
+  } catch (error) {
+    logger.error('Failed to list species:', error.message);
+    throw new Error(`Falha ao listar espécies: ${error.message}`);
+  }
+}
+
+/**
+ * Aggregate everything approved references record about a scientific name
+ * @param {string} nomeCientifico - Scientific name (exact match)
+ * @returns {Promise<Object|null>} { nomeCientifico, nomesVernaculares, tiposUso, references, communities } or null
+ */
+async function findSpecies(nomeCientifico) {
+  try {
+    const collection = database.getCollection(config.database.collection);
+
+    const [species] = await collection.aggregate([
+      { $match: { status: Status.APPROVED, 'comunidades.plantas.nomeCientifico': nomeCientifico } },
+      { $unwind: '$comunidades' },
+      { $unwind: '$comunidades.plantas' },
+      { $match: { 'comunidades.plantas.nomeCientifico': nomeCientifico } },
+      {
+        $group: {
+          _id: null,
+          references: {
+            $addToSet: { _id: '$_id', titulo: '$titulo', autores: '$autores', ano: '$ano' }
+          },
+          communities: {
+            $push: {
+              referenceId: '$_id',
+              nome: '$comunidades.nome',
+              tipo: '$comunidades.tipo',
+              municipio: '$comunidades.municipio',
+              estado: '$comunidades.estado',
+              nomeVernacular: '$comunidades.plantas.nomeVernacular',
+              tipoUso: '$comunidades.plantas.tipoUso'
+            }
+          },
+          vernaculares: { $push: '$comunidades.plantas.nomeVernacular' },
+          usos: { $push: '$comunidades.plantas.tipoUso' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          references: 1,
+          communities: 1,
+          nomesVernaculares: unionOf('$vernaculares'),
+          tiposUso: unionOf('$usos')
+        }
+      }
+    ]).toArray();
+
+    if (!species) {
+      logger.database(`Species not found: ${nomeCientifico}`);
+      return null;
+    }
+
+    species.nomeCientifico = nomeCientifico;
+    species.references.sort((a, b) => (b.ano || 0) - (a.ano || 0));
+
+    logger.database(`Species ${nomeCientifico} found in ${species.references.length} references`);
+
+    return species;
+  } catch (error) {
+    logger.error('Failed to find species:', error.message);
+    throw new Error(`Falha ao buscar espécie: ${error.message}`);
+  }
+}
+
+/**
+ * Number of related references shown for a reference
+ */
+const RELATED_LIMIT = 5;
+
+/**
+ * Score of each shared value when ranking related references
+ * A shared species weighs more than sharing a community type or estado
+ */
+const RELATED_WEIGHTS = {
+  species: 3,
+  tipo: 2,
+  estado: 1
+};
+
+/**
+ * Find approved references related to a reference
+ * Candidates share at least one scientific name, community type or estado;
+ * they are ranked by a weighted count of shared values (RELATED_WEIGHTS)
+ * Types and estados are compared normalized (case and accents ignored)
+ * @param {Object} reference - Reference document
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} { _id, titulo, autores, ano, score,
+ *   shared: { species, tipos, estados }, reasons } - shared values use the
+ *   spelling of the given reference; reasons describe them in Portuguese
+ */
+async function findRelatedReferences(reference, options = {}) {
+  try {
+    const { limit = RELATED_LIMIT } = options;
+    const collection = database.getCollection(config.database.collection);
+    const comunidades = reference.comunidades || [];
+
+    const species = [...new Set(comunidades.flatMap(comunidade =>
+      (comunidade.plantas || []).flatMap(planta => planta.nomeCientifico || [])))];
+
+    // Normalized value -> label as written in this reference
+    const labels = field => new Map(comunidades
+      .filter(comunidade => comunidade[field])
+      .map(comunidade => [normalizeText(comunidade[field]), comunidade[field]]));
+    const tipos = labels('tipo');
+    const estados = labels('estado');
+
+    if (species.length === 0 && tipos.size === 0 && estados.size === 0) {
+      return [];
+    }
+
+    const sharedCount = (field, weight) => ({ $multiply: [{ $size: field }, weight] });
+
+    const related = await collection.aggregate([
+      {
+        $match: {
+          status: Status.APPROVED,
+          _id: { $ne: reference._id },
+          $or: [
+            { 'comunidades.plantas.nomeCientifico': { $in: species } },
+            { 'busca.tipos': { $in: [...tipos.keys()] } },
+            { 'busca.estados': { $in: [...estados.keys()] } }
+          ]
+        }
+      },
+      {
+        $project: {
+          titulo: 1,
+          autores: 1,
+          ano: 1,
+          sharedSpecies: {
+            $setIntersection: [
+              unionOf({ $map: { input: '$comunidades', as: 'comunidade', in: unionOf('$$comunidade.plantas.nomeCientifico') } }),
+              species
+            ]
+          },
+          sharedTipos: { $setIntersection: [{ $ifNull: ['$busca.tipos', []] }, [...tipos.keys()]] },
+          sharedEstados: { $setIntersection: [{ $ifNull: ['$busca.estados', []] }, [...estados.keys()]] }
+        }
+      },
+      {
+        $addFields: {
+          score: {
+            $add: [
+              sharedCount('$sharedSpecies', RELATED_WEIGHTS.species),
+              sharedCount('$sharedTipos', RELATED_WEIGHTS.tipo),
+              sharedCount('$sharedEstados', RELATED_WEIGHTS.estado)
+            ]
+          }
+        }
+      },
+      { $sort: { score: -1, ano: -1, _id: 1 } },
+      { $limit: limit }
+    ]).toArray();
+
+    logger.database(`Found ${related.length} references related to ${reference._id}`);
+
+    return related.map(item => {
+      const shared = {
+        species: item.sharedSpecies,
+        tipos: item.sharedTipos.map(tipo => tipos.get(tipo)),
+        estados: item.sharedEstados.map(estado => estados.get(estado))
+      };
+
+      const reasons = [];
+      if (shared.species.length > 0) {
+        reasons.push(`${shared.species.length === 1 ? 'Espécie' : 'Espécies'} em comum: ${shared.species.join(', ')}`);
+      }
+      if (shared.tipos.length > 0) {
+        reasons.push(`Mesmo tipo de comunidade: ${shared.tipos.join(', ')}`);
+      }
+      if (shared.estados.length > 0) {
+        reasons.push(`Mesmo estado: ${shared.estados.join(', ')}`);
+      }
+
+      return {
+        _id: item._id,
+        titulo: item.titulo,
+        autores: item.autores,
+        ano: item.ano,
+        score: item.score,
+        shared,
+        reasons
+      };
+    });
+  } catch (error) {
+    logger.error('Failed to find related references:', error.message);
+    throw new Error(`Falha ao buscar referências relacionadas: ${error.message}`);
+  }
+}
+
+/**
+ * Fields offered by suggestValues: normalized shadow field used to select
+ * documents, arrays to unwind and an expression yielding the raw values
+ */
+const SUGGESTION_FIELDS = {
+  planta: {
+    shadow: 'busca.plantas',
+    unwind: ['comunidades', 'comunidades.plantas'],
+    values: {
+      $concatArrays: [
+        { $ifNull: ['$comunidades.plantas.nomeCientifico', []] },
+        { $ifNull: ['$comunidades.plantas.nomeVernacular', []] }
+      ]
+    }
+  },
+  municipio: {
+    shadow: 'busca.municipios',
+    unwind: ['comunidades'],
+    values: ['$comunidades.municipio']
+  },
+  comunidade: {
+    shadow: 'busca.comunidades',
+    unwind: ['comunidades'],
+    values: ['$comunidades.nome']
+  }
+};
+
+/**
+ * Suggest distinct existing values starting with a prefix (autocomplete)
+ * Matching ignores case and accents; most frequent values come first
+ * @param {string} field - planta, municipio or comunidade
+ * @param {string} prefix - Typed text
+ * @param {Object} options - { filter: extra MongoDB query (e.g. status), limit }
+ * @returns {Promise<Array<string>>} Suggested values
+ */
+async function suggestValues(field, prefix, options = {}) {
+  try {
+    const spec = Object.prototype.hasOwnProperty.call(SUGGESTION_FIELDS, field) && SUGGESTION_FIELDS[field];
+    if (!spec) {
+      throw new Error(`Campo de sugestão inválido: ${field}`);
+    }
+
+    const { filter = {}, limit = 10 } = options;
+    const normalizedPrefix = normalizeText(prefix);
+
+    if (normalizedPrefix.length === 0) return [];
+
+    const collection = database.getCollection(config.database.collection);
+
+    const buckets = await collection.aggregate([
+      { $match: { ...filter, [spec.shadow]: { $regex: `^${sanitizeRegex(normalizedPrefix)}` } } },
+      ...spec.unwind.map(path => ({ $unwind: `$${path}` })),
+      { $project: { _id: 0, value: spec.values } },
+      { $unwind: '$value' },
+      { $group: { _id: '$value', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]).toArray();
+
+    // Documents were selected by any matching value; keep only the values that match
+    const suggestions = buckets
+      .filter(bucket => typeof bucket._id === 'string' && normalizeText(bucket._id).startsWith(normalizedPrefix))
+      .slice(0, limit)
+      .map(bucket => bucket._id.trim());
+
+    logger.database(`Suggestions for ${field} "${prefix}": ${suggestions.length}`);
+
+    return suggestions;
+  } catch (error) {
+    logger.error('Failed to suggest values:', error.message);
+    throw new Error(`Falha ao buscar sugestões: ${error.message}`);
+  }
+}
+
+/**
+ * Distinct values of a field across approved references
+ * @param {string} path - Field path, e.g. "comunidades.estado"
+ * @returns {Promise<Array<string>>} Non-empty values, sorted
+ */
+async function listApprovedValues(path) {
+  try {
+    const collection = database.getCollection(config.database.collection);
+    const values = await collection.distinct(path, { status: Status.APPROVED });
+
+    return values
+      .filter(value => typeof value === 'string' && value.trim().length > 0)
+      .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+  } catch (error) {
+    logger.error(`Failed to list values of ${path}:`, error.message);
+    throw new Error(`Falha ao listar valores: ${error.message}`);
+  }
+}
+
+/**
+ * Number of entries in the ranked statistics lists
+ */
+const STATISTICS_LIMIT = 20;
+
+/**
+ * Cached result of getStatistics
+ * Cleared when approved content may change (status change, edit, delete)
+ */
+let statisticsCache = null;
+
+/**
+ * Discard cached statistics so the next request recomputes them
+ */
+function invalidateStatistics() {
+  if (statisticsCache) {
+    logger.database('Statistics cache invalidated');
+  }
+  statisticsCache = null;
+}
+
+/**
+ * Count documents per value of an expression, most frequent first
+ * @param {Array<string>} unwindPaths - Array fields to unwind first
+ * @param {any} valueExpr - Grouping expression
+ * @param {number} limit - Maximum number of buckets (0 = all)
+ * @returns {Array<Object>} Pipeline stages
+ */
+function countBy(unwindPaths, valueExpr, limit = 0) {
+  const stages = [
+    ...unwindPaths.map(unwindPath => ({ $unwind: `$${unwindPath}` })),
+    { $group: { _id: valueExpr, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  if (limit > 0) stages.push({ $limit: limit });
+
+  return stages;
+}
+
+/**
+ * Aggregate statistics of the approved dataset (cached between approvals)
+ * @returns {Promise<Object>} { generatedAt, totals, referencesPerYear, communitiesPerEstado,
+ *   communitiesPerTipo, topSpecies, useTypes, growth }
+ */
+async function getStatistics() {
+  if (statisticsCache) {
+    return statisticsCache;
+  }
+
+  try {
+    const collection = database.getCollection(config.database.collection);
+    const plantPaths = ['comunidades', 'comunidades.plantas'];
+    const normalizedUse = { $toLower: { $trim: { input: '$comunidades.plantas.tipoUso' } } };
+
+    const [result] = await collection.aggregate([
+      { $match: { status: Status.APPROVED } },
+      {
+        $facet: {
+          references: [{ $count: 'count' }],
+          communities: [
+            { $group: { _id: null, count: { $sum: { $size: { $ifNull: ['$comunidades', []] } } } } }
+          ],
+          species: [
+            ...countBy([...plantPaths, 'comunidades.plantas.nomeCientifico'], '$comunidades.plantas.nomeCientifico'),
+            { $count: 'count' }
+          ],
+          useTypeCount: [
+            ...countBy([...plantPaths, 'comunidades.plantas.tipoUso'], normalizedUse),
+            { $count: 'count' }
+          ],
+          referencesPerYear: [
+            { $group: { _id: '$ano', count: { $sum: 1 } } },
+            { $match: { _id: { $ne: null } } },
+            { $sort: { _id: 1 } }
+          ],
+          communitiesPerEstado: countBy(['comunidades'], '$comunidades.estado'),
+          communitiesPerTipo: countBy(['comunidades'], '$comunidades.tipo'),
+          topSpecies: [
+            { $unwind: '$comunidades' },
+            { $unwind: '$comunidades.plantas' },
+            { $unwind: '$comunidades.plantas.nomeCientifico' },
+            {
+              $group: {
+                _id: '$comunidades.plantas.nomeCientifico',
+                references: { $addToSet: '$_id' },
+                communities: { $sum: 1 }
+              }
+            },
+            { $project: { referenceCount: { $size: '$references' }, communityCount: '$communities' } },
+            { $sort: { referenceCount: -1, communityCount: -1, _id: 1 } },
+            { $limit: STATISTICS_LIMIT }
+          ],
+          useTypes: countBy([...plantPaths, 'comunidades.plantas.tipoUso'], normalizedUse, STATISTICS_LIMIT),
+          growth: [
+            { $match: { createdAt: { $type: 'date' } } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]).toArray();
+
+    const first = (bucket) => (bucket.length > 0 ? bucket[0].count : 0);
+    const buckets = (list) => list.map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+    let cumulative = 0;
+    const growth = result.growth.map(bucket => {
+      cumulative += bucket.count;
+      return { period: bucket._id, count: bucket.count, cumulative };
+    });
+
+    statisticsCache = {
+      generatedAt: new Date(),
+      totals: {
+        references: first(result.references),
+        communities: first(result.communities),
+        species: first(result.species),
+        useTypes: first(result.useTypeCount)
+      },
+      referencesPerYear: buckets(result.referencesPerYear),
+      communitiesPerEstado: buckets(result.communitiesPerEstado),
+      communitiesPerTipo: buckets(result.communitiesPerTipo),
+      topSpecies: result.topSpecies.map(bucket => ({
+        nomeCientifico: bucket._id,
+        referenceCount: bucket.referenceCount,
+        communityCount: bucket.communityCount
+      })),
+      useTypes: buckets(result.useTypes),
+      growth
+    };
+
+    logger.database(`Statistics computed: ${statisticsCache.totals.references} approved references`);
+
+    return statisticsCache;
+  } catch (error) {
+    logger.error('Failed to compute statistics:', error.message);
+    throw new Error(`Falha ao calcular estatísticas: ${error.message}`);
+  }
+}
+
 module.exports = {
   insertReference,
   findReferences,
+  findReferencesAfter,
+  decodeAfterToken,
+  keysetSort,
+  streamReferences,
   findReferenceById,
+  findApprovedReferenceById,
+  findReferencesByDoi,
   updateReferenceById,
   updateReferenceStatus,
   deleteReferenceById,
   countReferences,
-  searchReferences
+  searchReferences,
+  getSearchFacets,
+  listSpecies,
+  findSpecies,
+  findRelatedReferences,
+  SUGGESTION_FIELDS,
+  suggestValues,
+  listApprovedValues,
+  getStatistics,
+  invalidateStatistics
 };
@@ -0,0 +1,212 @@
+/**
+ * DOI Resolver Service
+ *
+ * Looks up reference metadata (titulo, autores, ano, resumo) by DOI.
+ * A resolver is any object with:
+ * - name: backend description (for logs)
+ * - fetchWork(doi): Promise resolving to a Crossref-style "work" object
+ *   (the "message" of https://api.crossref.org/works/{doi}) or null when
+ *   the DOI is unknown
+ *
+ * Two backends are provided, selected by config.doi.resolverUrl:
+ * - http(s) URL: Crossref REST API or a compatible mock server
+ *   (GET <url>/<doi>)
+ * - file:// URL: directory of fixtures, one <encodeURIComponent(doi)>.json
+ *   file per DOI (lowercase), holding the API response or its message
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const config = require('../shared/config');
+const logger = require('../shared/logger');
+const { normalizeDoi } = require('./citationParser');
+
+/**
+ * Resolver used by resolveDoi (created from config on first use)
+ */
+let defaultResolver = null;
+
+/**
+ * Create a resolver for the Crossref REST API or a compatible server
+ * @param {Object} options - { baseUrl, timeout (ms), mailto }
+ * @returns {Object} Resolver { name, fetchWork }
+ */
+function createCrossrefResolver(options) {
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+  const headers = {
+    Accept: 'application/json',
+    // Crossref routes identified clients to its "polite" pool
+    'User-Agent': `etnoDB${options.mailto ? ` (mailto:${options.mailto})` : ''}`
+  };
+
+  return {
+    name: `crossref ${baseUrl}`,
+
+    async fetchWork(doi) {
+      const response = await fetch(`${baseUrl}/${encodeURIComponent(doi)}`, {
+        headers,
+        signal: AbortSignal.timeout(options.timeout)
+      });
+
+      if (response.status === 404) return null;
+
+      if (!response.ok) {
+        throw new Error(`resposta HTTP ${response.status}`);
+      }
+
+      const body = await response.json();
+      return body.message || body;
+    }
+  };
+}
+
+/**
+ * Create a resolver reading Crossref-style JSON fixtures from a directory
+ * @param {Object} options - { directory }
+ * @returns {Object} Resolver { name, fetchWork }
+ */
+function createFixtureResolver(options) {
+  return {
+    name: `fixtures ${options.directory}`,
+
+    async fetchWork(doi) {
+      const file = path.join(options.directory, `${encodeURIComponent(doi.toLowerCase())}.json`);
+      let text;
+
+      try {
+        text = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+
+      const body = JSON.parse(text);
+      return body.message || body;
+    }
+  };
+}
+
+/**
+ * Create the resolver configured by config.doi
+ * @param {Object} options - Overrides of config.doi { resolverUrl, timeout, mailto }
+ * @returns {Object} Resolver { name, fetchWork }
+ */
+function createDoiResolver(options = {}) {
+  const settings = { ...config.doi, ...options };
+
+  if (settings.resolverUrl.startsWith('file:')) {
+    return createFixtureResolver({ directory: fileURLToPath(settings.resolverUrl) });
+  }
+
+  return createCrossrefResolver({
+    baseUrl: settings.resolverUrl,
+    timeout: settings.timeout,
+    mailto: settings.mailto
+  });
+}
+
+/**
+ * Replace the resolver used by resolveDoi
+ * @param {Object|null} resolver - Resolver { name, fetchWork }, or null to use config again
+ */
+function setDoiResolver(resolver) {
+  defaultResolver = resolver;
+}
+
+/**
+ * Convert JATS markup of a Crossref abstract to plain text
+ * @param {string} abstract - Abstract with <jats:p> and similar tags
+ * @returns {string} Plain text
+ */
+function jatsToText(abstract) {
+  return String(abstract || '')
+    .replace(/<jats:title>[\s\S]*?<\/jats:title>/g, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert a Crossref work to reference fields
+ * Authors are "Nome Sobrenome" (see citationParser) so that formatAuthorABNT
+ * produces "SOBRENOME, N." on submission
+ * @param {Object} work - Crossref work ("message")
+ * @returns {Object} { titulo, autores, ano, resumo, DOI }
+ */
+function crossrefToReference(work) {
+  const dateParts = ['issued', 'published-print', 'published-online', 'created']
+    .map(field => work[field] && work[field]['date-parts'] && work[field]['date-parts'][0])
+    .find(parts => parts && parts[0]);
+
+  const titulo = [].concat(work.title || [])[0] || '';
+  const subtitulo = [].concat(work.subtitle || [])[0] || '';
+
+  return {
+    titulo: (subtitulo ? `${titulo}: ${subtitulo}` : titulo).replace(/\s+/g, ' ').trim(),
+    autores: (work.author || [])
+      .map(author => (author.family
+        ? `${author.given || ''} ${author.family}`
+        : author.name || ''
+      ).replace(/\s+/g, ' ').trim())
+      .filter(Boolean),
+    ano: dateParts ? parseInt(dateParts[0]) || 0 : 0,
+    resumo: jatsToText(work.abstract),
+    DOI: normalizeDoi(work.DOI) || ''
+  };
+}
+
+/**
+ * Look up the metadata of a DOI
+ * @param {string} value - DOI or doi.org URL
+ * @param {Object} options - { resolver } to use instead of the configured one
+ * @returns {Promise<Object>} { isValid, errors, DOI, reference } - reference is
+ *   null when the DOI is invalid, unknown or the backend failed
+ */
+async function resolveDoi(value, options = {}) {
+  const DOI = normalizeDoi(value);
+
+  if (!DOI) {
+    return { isValid: false, errors: ['DOI inválido. Use o formato 10.xxxx/...'], DOI: '', reference: null };
+  }
+
+  if (!options.resolver && !defaultResolver) {
+    defaultResolver = createDoiResolver();
+  }
+
+  const resolver = options.resolver || defaultResolver;
+
+  try {
+    const work = await resolver.fetchWork(DOI);
+
+    if (!work) {
+      logger.acquisition(`DOI ${DOI} not found (${resolver.name})`);
+      return { isValid: false, errors: [`DOI ${DOI} não encontrado`], DOI, reference: null };
+    }
+
+    logger.acquisition(`DOI ${DOI} resolved (${resolver.name})`);
+    return { isValid: true, errors: [], DOI, reference: { ...crossrefToReference(work), DOI } };
+  } catch (error) {
+    logger.error(`Failed to resolve DOI ${DOI} (${resolver.name}):`, error.message);
+    const reason = error.name === 'TimeoutError' ? 'tempo de resposta esgotado' : error.message;
+
+    return {
+      isValid: false,
+      errors: [`Não foi possível consultar os dados do DOI: ${reason}`],
+      DOI,
+      reference: null
+    };
+  }
+}
+
+module.exports = {
+  createCrossrefResolver,
+  createFixtureResolver,
+  createDoiResolver,
+  setDoiResolver,
+  crossrefToReference,
+  resolveDoi
+};
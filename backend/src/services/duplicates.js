@@ -0,0 +1,280 @@
+/**
+ * Duplicate Detection Service
+ *
+ * Finds references that may describe the same publication:
+ * - same DOI (case-insensitive, URL and "doi:" forms included)
+ * - or, when the DOIs do not differ, similar titles (Dice coefficient of
+ *   character bigrams) in the same or adjacent year, backed by a similar
+ *   first-author surname when the titles are less alike
+ *
+ * Used by the acquisition form (warnings before submit), the curation
+ * edit page ("possíveis duplicatas") and scripts/find-duplicates.js
+ */
+
+const { findReferences, findReferencesByDoi, streamReferences } = require('./database');
+const { normalizeDoi } = require('./citationParser');
+const { normalizeText } = require('../shared/utils/sanitize');
+
+/**
+ * Similarity thresholds (0-1)
+ * - title: titles alike enough on their own
+ * - titleWithAuthor: titles alike enough when the first authors also match
+ * - author: first-author surnames considered the same
+ */
+const DUPLICATE_THRESHOLDS = {
+  title: 0.9,
+  titleWithAuthor: 0.75,
+  author: 0.8
+};
+
+/**
+ * Maximum difference between publication years of duplicates
+ * (online-first and print editions are often a year apart)
+ */
+const YEAR_TOLERANCE = 1;
+
+/**
+ * Maximum number of possible duplicates returned for one reference
+ */
+const DUPLICATE_LIMIT = 10;
+
+/**
+ * Fields read from candidate references
+ */
+const DUPLICATE_PROJECTION = { titulo: 1, autores: 1, ano: 1, DOI: 1, status: 1 };
+
+/**
+ * Normalize a title for comparison (no accents, case or punctuation)
+ * @param {string} title - Title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return normalizeText(String(title || '').replace(/[^\p{L}\p{N}\s]/gu, ' '));
+}
+
+/**
+ * Normalized surname of the first author
+ * Authors are stored as "SOBRENOME, N."; other forms use the last word
+ * @param {Array<string>} autores - Authors
+ * @returns {string} Surname
+ */
+function firstAuthorSurname(autores) {
+  const first = String((autores || [])[0] || '');
+  const surname = first.includes(',') ? first.split(',')[0] : first.split(/\s+/).pop();
+
+  return normalizeTitle(surname);
+}
+
+/**
+ * Dice coefficient of the character bigrams of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (equal)
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+/**
+ * Compare two references
+ * @param {Object} a - Reference { titulo, autores, ano, DOI }
+ * @param {Object} b - Reference { titulo, autores, ano, DOI }
+ * @returns {Object} { isDuplicate, score (0-1), motivos: Portuguese reasons }
+ */
+function compareReferences(a, b) {
+  const doiA = normalizeDoi(a.DOI).toLowerCase();
+  const doiB = normalizeDoi(b.DOI).toLowerCase();
+
+  if (doiA && doiA === doiB) {
+    return { isDuplicate: true, score: 1, motivos: [`Mesmo DOI (${normalizeDoi(a.DOI)})`] };
+  }
+
+  // Different DOIs identify different publications
+  if (doiA && doiB) {
+    return { isDuplicate: false, score: 0, motivos: [] };
+  }
+
+  const titleScore = similarity(normalizeTitle(a.titulo), normalizeTitle(b.titulo));
+  const surname = firstAuthorSurname(a.autores);
+  const authorScore = similarity(surname, firstAuthorSurname(b.autores));
+  const yearDiff = Math.abs((parseInt(a.ano) || 0) - (parseInt(b.ano) || 0));
+
+  const isDuplicate = yearDiff <= YEAR_TOLERANCE && (
+    titleScore >= DUPLICATE_THRESHOLDS.title ||
+    (titleScore >= DUPLICATE_THRESHOLDS.titleWithAuthor && authorScore >= DUPLICATE_THRESHOLDS.author)
+  );
+
+  if (!isDuplicate) {
+    return { isDuplicate: false, score: 0, motivos: [] };
+  }
+
+  const motivos = [`Título ${Math.round(titleScore * 100)}% semelhante`];
+
+  if (authorScore === 1) {
+    motivos.push(`Mesmo primeiro autor (${(a.autores || [])[0]})`);
+  } else if (authorScore >= DUPLICATE_THRESHOLDS.author) {
+    motivos.push('Primeiro autor semelhante');
+  }
+
+  motivos.push(yearDiff === 0 ? 'Mesmo ano' : `Anos próximos (${a.ano} e ${b.ano})`);
+
+  return {
+    isDuplicate: true,
+    score: Math.round((titleScore * 0.7 + authorScore * 0.2 + (yearDiff === 0 ? 0.1 : 0.05)) * 100) / 100,
+    motivos
+  };
+}
+
+/**
+ * Find references (any status) that may duplicate a reference
+ * Candidates are the references with the same DOI and those published
+ * within YEAR_TOLERANCE years
+ * @param {Object} reference - Reference { titulo, autores, ano, DOI }
+ * @param {Object} options - { excludeId: the reference itself, limit }
+ * @returns {Promise<Array>} [{ _id, titulo, autores, ano, DOI, status, score, motivos }],
+ *   most similar first
+ */
+async function findPossibleDuplicates(reference, options = {}) {
+  const { excludeId = null, limit = DUPLICATE_LIMIT } = options;
+  const ano = parseInt(reference.ano) || 0;
+
+  try {
+    const [byDoi, byYear] = await Promise.all([
+      findReferencesByDoi(normalizeDoi(reference.DOI), { excludeId }),
+      ano > 0 && normalizeTitle(reference.titulo)
+        ? findReferences(
+          { ano: { $gte: ano - YEAR_TOLERANCE, $lte: ano + YEAR_TOLERANCE } },
+          { projection: DUPLICATE_PROJECTION }
+        )
+        : []
+    ]);
+
+    const seen = new Set(excludeId ? [String(excludeId)] : []);
+    const duplicates = [];
+
+    for (const candidate of [...byDoi, ...byYear]) {
+      const id = String(candidate._id);
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      const comparison = compareReferences(reference, candidate);
+      if (comparison.isDuplicate) {
+        duplicates.push({ ...candidate, score: comparison.score, motivos: comparison.motivos });
+      }
+    }
+
+    return duplicates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  } catch (error) {
+    throw new Error(`Falha ao buscar possíveis duplicatas: ${error.message}`);
+  }
+}
+
+/**
+ * Scan the whole collection for clusters of possible duplicates
+ * References are compared with the ones published within YEAR_TOLERANCE
+ * years (and all references sharing a DOI); pairs are joined into clusters
+ * @returns {Promise<Array>} [{ referencias: [{ _id, titulo, autores, ano, DOI, status }],
+ *   pares: [{ a, b, score, motivos }] }] - a and b are reference ids
+ */
+async function scanDuplicates() {
+  const references = [];
+
+  try {
+    for await (const reference of streamReferences({}, {
+      projection: DUPLICATE_PROJECTION,
+      sort: { ano: 1, _id: 1 },
+      batchSize: 500
+    })) {
+      references.push(reference);
+    }
+  } catch (error) {
+    throw new Error(`Falha ao buscar referências: ${error.message}`);
+  }
+
+  // Union-find over reference positions
+  const parent = references.map((_, idx) => idx);
+  const find = idx => (parent[idx] === idx ? idx : (parent[idx] = find(parent[idx])));
+  const pairs = [];
+
+  const link = (i, j, comparison) => {
+    parent[find(i)] = find(j);
+    pairs.push({ i, j, score: comparison.score, motivos: comparison.motivos });
+  };
+
+  // Same DOI, whatever the year
+  const byDoi = new Map();
+  references.forEach((reference, idx) => {
+    const doi = normalizeDoi(reference.DOI).toLowerCase();
+    if (!doi) return;
+
+    if (byDoi.has(doi)) {
+      link(byDoi.get(doi), idx, compareReferences(references[byDoi.get(doi)], reference));
+    } else {
+      byDoi.set(doi, idx);
+    }
+  });
+
+  // Similar titles within YEAR_TOLERANCE years (references are sorted by year)
+  for (let i = 0; i < references.length; i++) {
+    for (let j = i + 1; j < references.length; j++) {
+      if ((references[j].ano || 0) - (references[i].ano || 0) > YEAR_TOLERANCE) break;
+
+      const doiA = normalizeDoi(references[i].DOI).toLowerCase();
+      if (doiA && doiA === normalizeDoi(references[j].DOI).toLowerCase()) continue;
+
+      const comparison = compareReferences(references[i], references[j]);
+      if (comparison.isDuplicate) link(i, j, comparison);
+    }
+  }
+
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.i);
+    if (!clusters.has(root)) clusters.set(root, { membros: new Set(), pares: [] });
+
+    const cluster = clusters.get(root);
+    cluster.membros.add(pair.i).add(pair.j);
+    cluster.pares.push({
+      a: references[pair.i]._id,
+      b: references[pair.j]._id,
+      score: pair.score,
+      motivos: pair.motivos
+    });
+  });
+
+  return [...clusters.values()].map(cluster => ({
+    referencias: [...cluster.membros].sort((a, b) => a - b).map(idx => references[idx]),
+    pares: cluster.pares
+  }));
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLDS,
+  similarity,
+  compareReferences,
+  findPossibleDuplicates,
+  scanDuplicates
+};
@@ -0,0 +1,180 @@
+/**
+ * Export Service
+ *
+ * Flattens references into one row per plant record and writes them
+ * as CSV or TSV to a writable stream
+ */
+
+const logger = require('../shared/logger');
+const { waitForDrain } = require('../shared/utils/stream');
+
+/**
+ * Supported delimited formats
+ */
+const Formats = {
+  csv: { delimiter: ',', contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { delimiter: '\t', contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' }
+};
+
+/**
+ * Export columns, in output order
+ * Multi-valued fields are joined with "; "
+ */
+const COLUMNS = [
+  'referenciaId',
+  'titulo',
+  'autores',
+  'ano',
+  'DOI',
+  'comunidade',
+  'tipoComunidade',
+  'municipio',
+  'estado',
+  'local',
+  'atividadesEconomicas',
+  'nomeCientifico',
+  'nomeVernacular',
+  'tipoUso'
+];
+
+/**
+ * Separator for multi-valued fields inside a single cell
+ */
+const VALUE_SEPARATOR = '; ';
+
+/**
+ * Flatten a reference into one row per community plant
+ * Communities without plants still produce one row
+ * @param {Object} reference - Reference document
+ * @returns {Array<Object>} Rows keyed by COLUMNS
+ */
+function flattenReference(reference) {
+  const base = {
+    referenciaId: String(reference._id),
+    titulo: reference.titulo,
+    autores: joinValues(reference.autores),
+    ano: reference.ano,
+    DOI: reference.DOI
+  };
+
+  const rows = [];
+
+  (reference.comunidades || []).forEach(comunidade => {
+    const communityFields = {
+      comunidade: comunidade.nome,
+      tipoComunidade: comunidade.tipo,
+      municipio: comunidade.municipio,
+      estado: comunidade.estado,
+      local: comunidade.local,
+      atividadesEconomicas: joinValues(comunidade.atividadesEconomicas)
+    };
+
+    const plantas = comunidade.plantas && comunidade.plantas.length > 0
+      ? comunidade.plantas
+      : [{}];
+
+    plantas.forEach(planta => {
+      rows.push({
+        ...base,
+        ...communityFields,
+        nomeCientifico: joinValues(planta.nomeCientifico),
+        nomeVernacular: joinValues(planta.nomeVernacular),
+        tipoUso: joinValues(planta.tipoUso)
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Characters that make spreadsheet software read a cell as a formula
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one row as a delimited line
+ * CSV cells are quoted per RFC 4180; TSV cells have tabs and line breaks replaced.
+ * Cells starting like a formula (=, +, -, @) get a leading apostrophe so
+ * user-submitted text is shown, not evaluated, when the file is opened
+ * @param {Array} values - Cell values
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {string} Line terminated with CRLF
+ */
+function formatLine(values, delimiter) {
+  const cells = values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (FORMULA_PREFIX.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (delimiter === '\t') {
+      return text.replace(/[\t\r\n]+/g, ' ');
+    }
+
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  });
+
+  return cells.join(delimiter) + '\r\n';
+}
+
+/**
+ * Write references from a cursor to a stream as CSV or TSV
+ * Honors backpressure so the whole collection never sits in memory,
+ * and stops early if the destination is closed
+ * @param {AsyncIterable<Object>} cursor - References (e.g. streamReferences cursor)
+ * @param {Writable} output - Destination stream (e.g. Express response)
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {Promise<number>} Number of rows written
+ */
+async function writeDelimited(cursor, output, format) {
+  const { delimiter } = Formats[format];
+  let rowCount = 0;
+
+  // BOM lets spreadsheet software detect UTF-8 (accented names)
+  if (format === 'csv') output.write('\uFEFF');
+
+  output.write(formatLine(COLUMNS, delimiter));
+
+  for await (const reference of cursor) {
+    // Client went away: leaving the loop closes the cursor
+    if (output.destroyed) break;
+
+    for (const row of flattenReference(reference)) {
+      const line = formatLine(COLUMNS.map(column => row[column]), delimiter);
+      rowCount++;
+
+      if (!output.write(line)) {
+        await waitForDrain(output);
+        if (output.destroyed) break;
+      }
+    }
+  }
+
+  logger.info(`Export wrote ${rowCount} ${format.toUpperCase()} rows`);
+
+  return rowCount;
+}
+
+/**
+ * Join array values for a single cell
+ * @param {Array|string} values - Values
+ * @returns {string} Joined string
+ */
+function joinValues(values) {
+  if (!Array.isArray(values)) return values || '';
+  return values.filter(Boolean).join(VALUE_SEPARATOR);
+}
+
+module.exports = {
+  Formats,
+  COLUMNS,
+  flattenReference,
+  formatLine,
+  writeDelimited
+};
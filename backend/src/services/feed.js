@@ -0,0 +1,197 @@
+/**
+ * Feed Service
+ *
+ * Formats the most recently approved references as Atom 1.0
+ * and RSS 2.0 feeds so readers can follow new additions
+ */
+
+const { escapeXml } = require('../shared/utils/sanitize');
+const { formatABNT } = require('./citation');
+
+/**
+ * Number of entries in a feed
+ */
+const FEED_LIMIT = 50;
+
+/**
+ * Supported feed formats
+ */
+const FeedFormats = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  rss: { contentType: 'application/rss+xml; charset=utf-8' }
+};
+
+/**
+ * Labels used to describe active search filters in the feed title
+ */
+const FILTER_LABELS = {
+  q: 'busca',
+  tipo: 'tipo',
+  comunidade: 'comunidade',
+  planta: 'planta',
+  estado: 'estado',
+  municipio: 'município',
+  uso: 'uso',
+  ano: 'ano',
+  anoDe: 'ano a partir de',
+  anoAte: 'ano até',
+  autor: 'autor',
+  comDoi: 'com DOI'
+};
+
+/**
+ * Date a reference was approved
+ * References approved before approvedAt existed fall back to updatedAt
+ * @param {Object} reference - Reference document
+ * @returns {Date} Approval date
+ */
+function approvalDate(reference) {
+  return new Date(reference.approvedAt || reference.updatedAt || reference.createdAt || 0);
+}
+
+/**
+ * Build the feed title from the dataset title and the active filters
+ * Example: "etnoDB - Novas referências (estado: Bahia)"
+ * @param {string} datasetTitle - Dataset title
+ * @param {Object} filters - Search filters
+ * @returns {string} Feed title
+ */
+function feedTitle(datasetTitle, filters = {}) {
+  const active = Object.keys(FILTER_LABELS)
+    .filter(key => filters[key])
+    .map(key => (key === 'comDoi' ? FILTER_LABELS[key] : `${FILTER_LABELS[key]}: ${filters[key]}`));
+
+  const title = `${datasetTitle} - Novas referências`;
+  return active.length > 0 ? `${title} (${active.join('; ')})` : title;
+}
+
+/**
+ * Plain-text summary of a reference: year, authors and communities
+ * @param {Object} reference - Reference document
+ * @returns {string} Summary text
+ */
+function entrySummary(reference) {
+  const comunidades = (reference.comunidades || []).map(comunidade => {
+    const place = [comunidade.municipio, comunidade.estado].filter(Boolean).join(' - ');
+    return place ? `${comunidade.nome} (${place})` : comunidade.nome;
+  });
+
+  const lines = [
+    `Ano: ${reference.ano || 's.d.'}`,
+    `Autores: ${(reference.autores || []).join('; ')}`
+  ];
+
+  if (comunidades.length > 0) {
+    lines.push(`Comunidades: ${comunidades.join(', ')}`);
+  }
+
+  lines.push(`Como citar: ${formatABNT(reference)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Format references as an Atom 1.0 feed
+ * @param {Array<Object>} references - References, most recently approved first
+ * @param {Object} options - { title, selfUrl, siteUrl, referenceUrl(reference) }
+ * @returns {string} Atom XML
+ */
+function toAtom(references, options) {
+  const { title, selfUrl, siteUrl, referenceUrl } = options;
+  const updated = references.length > 0 ? approvalDate(references[0]) : new Date();
+
+  const entries = references.map(reference => {
+    const url = referenceUrl(reference);
+    const authors = (reference.autores || [])
+      .map(autor => `
+    <author><name>${escapeXml(autor)}</name></author>`)
+      .join('');
+    const categories = (reference.comunidades || [])
+      .map(comunidade => `
+    <category term="${escapeXml(comunidade.nome)}"/>`)
+      .join('');
+
+    return `
+  <entry>
+    <id>${escapeXml(url)}</id>
+    <title>${escapeXml(reference.titulo)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>
+    <updated>${approvalDate(reference).toISOString()}</updated>${authors}${categories}
+    <summary type="text">${escapeXml(entrySummary(reference))}</summary>
+  </entry>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="pt-BR">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>etnoDB</name></author>${entries}
+</feed>
+`;
+}
+
+/**
+ * Format references as an RSS 2.0 feed
+ * @param {Array<Object>} references - References, most recently approved first
+ * @param {Object} options - { title, selfUrl, siteUrl, referenceUrl(reference) }
+ * @returns {string} RSS XML
+ */
+function toRSS(references, options) {
+  const { title, selfUrl, siteUrl, referenceUrl } = options;
+  const updated = references.length > 0 ? approvalDate(references[0]) : new Date();
+
+  const items = references.map(reference => {
+    const url = referenceUrl(reference);
+    const categories = (reference.comunidades || [])
+      .map(comunidade => `
+      <category>${escapeXml(comunidade.nome)}</category>`)
+      .join('');
+
+    return `
+    <item>
+      <title>${escapeXml(reference.titulo)}</title>
+      <link>${escapeXml(url)}</link>
+      <guid isPermaLink="true">${escapeXml(url)}</guid>
+      <pubDate>${approvalDate(reference).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml((reference.autores || []).join('; '))}</dc:creator>${categories}
+      <description>${escapeXml(entrySummary(reference))}</description>
+    </item>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>Referências aprovadas recentemente</description>
+    <language>pt-BR</language>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Format references in the requested feed format
+ * @param {Array<Object>} references - References, most recently approved first
+ * @param {string} format - Key of FeedFormats
+ * @param {Object} options - See toAtom
+ * @returns {string} Feed XML
+ */
+function formatFeed(references, format, options) {
+  return format === 'rss' ? toRSS(references, options) : toAtom(references, options);
+}
+
+module.exports = {
+  FEED_LIMIT,
+  FeedFormats,
+  approvalDate,
+  feedTitle,
+  toAtom,
+  toRSS,
+  formatFeed
+};
@@ -0,0 +1,274 @@
+/**
+ * Geo Service
+ *
+ * Resolves community municipio/estado text against a bundled offline
+ * table of IBGE municipalities (code and centroid) and writes communities
+ * as GeoJSON points
+ *
+ * Table: shared/ibge/municipios.csv (5.571 municípios, base IBGE;
+ * centroids from kelvins/municipios-brasileiros, MIT license)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../shared/logger');
+const { waitForDrain } = require('../shared/utils/stream');
+const { normalizeText } = require('./search');
+
+const MUNICIPIOS_FILE = path.join(__dirname, '../shared/ibge/municipios.csv');
+
+/**
+ * Brazilian states (IBGE code, abbreviation, name)
+ */
+const ESTADOS = [
+  { codigo: 11, uf: 'RO', nome: 'Rondônia' },
+  { codigo: 12, uf: 'AC', nome: 'Acre' },
+  { codigo: 13, uf: 'AM', nome: 'Amazonas' },
+  { codigo: 14, uf: 'RR', nome: 'Roraima' },
+  { codigo: 15, uf: 'PA', nome: 'Pará' },
+  { codigo: 16, uf: 'AP', nome: 'Amapá' },
+  { codigo: 17, uf: 'TO', nome: 'Tocantins' },
+  { codigo: 21, uf: 'MA', nome: 'Maranhão' },
+  { codigo: 22, uf: 'PI', nome: 'Piauí' },
+  { codigo: 23, uf: 'CE', nome: 'Ceará' },
+  { codigo: 24, uf: 'RN', nome: 'Rio Grande do Norte' },
+  { codigo: 25, uf: 'PB', nome: 'Paraíba' },
+  { codigo: 26, uf: 'PE', nome: 'Pernambuco' },
+  { codigo: 27, uf: 'AL', nome: 'Alagoas' },
+  { codigo: 28, uf: 'SE', nome: 'Sergipe' },
+  { codigo: 29, uf: 'BA', nome: 'Bahia' },
+  { codigo: 31, uf: 'MG', nome: 'Minas Gerais' },
+  { codigo: 32, uf: 'ES', nome: 'Espírito Santo' },
+  { codigo: 33, uf: 'RJ', nome: 'Rio de Janeiro' },
+  { codigo: 35, uf: 'SP', nome: 'São Paulo' },
+  { codigo: 41, uf: 'PR', nome: 'Paraná' },
+  { codigo: 42, uf: 'SC', nome: 'Santa Catarina' },
+  { codigo: 43, uf: 'RS', nome: 'Rio Grande do Sul' },
+  { codigo: 50, uf: 'MS', nome: 'Mato Grosso do Sul' },
+  { codigo: 51, uf: 'MT', nome: 'Mato Grosso' },
+  { codigo: 52, uf: 'GO', nome: 'Goiás' },
+  { codigo: 53, uf: 'DF', nome: 'Distrito Federal' }
+];
+
+/**
+ * Lookup tables, built on first use
+ */
+let tables = null;
+
+/**
+ * Load the municipality table and build the lookup indexes
+ * @returns {Object} { byUfAndName, byName, stateCentroids }
+ */
+function loadTables() {
+  if (tables) return tables;
+
+  const lines = fs.readFileSync(MUNICIPIOS_FILE, 'utf8').trim().split('\n').slice(1);
+  const byUfAndName = new Map();
+  const byName = new Map();
+  const sums = new Map();
+
+  lines.forEach(line => {
+    const [codigo, nome, uf, latitude, longitude] = line.split(',');
+    const municipio = {
+      codigoIbge: codigo,
+      nome,
+      uf,
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude)
+    };
+    const key = normalizeText(nome);
+
+    byUfAndName.set(`${uf}|${key}`, municipio);
+    byName.set(key, [...(byName.get(key) || []), municipio]);
+
+    const sum = sums.get(uf) || { latitude: 0, longitude: 0, count: 0 };
+    sum.latitude += municipio.latitude;
+    sum.longitude += municipio.longitude;
+    sum.count++;
+    sums.set(uf, sum);
+  });
+
+  // State fallback point: mean of its municipality centroids
+  const stateCentroids = new Map();
+  sums.forEach((sum, uf) => {
+    stateCentroids.set(uf, {
+      latitude: Number((sum.latitude / sum.count).toFixed(4)),
+      longitude: Number((sum.longitude / sum.count).toFixed(4))
+    });
+  });
+
+  tables = { byUfAndName, byName, stateCentroids };
+
+  logger.info(`Loaded ${lines.length} municipalities from ${path.basename(MUNICIPIOS_FILE)}`);
+
+  return tables;
+}
+
+/**
+ * Resolve a state name or abbreviation ("São Paulo", "sao paulo", "SP")
+ * @param {string} estado - State text
+ * @returns {Object|null} ESTADOS entry
+ */
+function resolveEstado(estado) {
+  const key = normalizeText(estado);
+  if (!key) return null;
+
+  return ESTADOS.find(item => item.uf.toLowerCase() === key || normalizeText(item.nome) === key) || null;
+}
+
+/**
+ * Resolve a municipality, accepting "Ubatuba", "Ubatuba - SP" or "Ubatuba/SP"
+ * Without a known state, only names unique in the country are resolved
+ * @param {string} municipio - Municipality text
+ * @param {string} estado - State text (optional)
+ * @returns {Object|null} { codigoIbge, nome, uf, latitude, longitude }
+ */
+function resolveMunicipio(municipio, estado) {
+  if (!municipio || typeof municipio !== 'string') return null;
+
+  const { byUfAndName, byName } = loadTables();
+  let nome = municipio;
+  let state = resolveEstado(estado);
+
+  const suffix = municipio.match(/^(.+?)\s*[-/(]\s*([A-Za-z]{2})\)?\s*$/);
+  if (suffix && resolveEstado(suffix[2])) {
+    nome = suffix[1];
+    state = state || resolveEstado(suffix[2]);
+  }
+
+  const key = normalizeText(nome);
+
+  if (state) {
+    return byUfAndName.get(`${state.uf}|${key}`) || null;
+  }
+
+  const candidates = byName.get(key) || [];
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Locate a community: municipality centroid, or the state centroid
+ * when only the state is known
+ * @param {Object} comunidade - Community (municipio, estado)
+ * @returns {Object|null} { latitude, longitude, precisao, codigoIbge, uf }
+ */
+function locateCommunity(comunidade) {
+  const municipio = resolveMunicipio(comunidade.municipio, comunidade.estado);
+
+  if (municipio) {
+    return {
+      latitude: municipio.latitude,
+      longitude: municipio.longitude,
+      precisao: 'municipio',
+      codigoIbge: municipio.codigoIbge,
+      uf: municipio.uf
+    };
+  }
+
+  const estado = resolveEstado(comunidade.estado);
+  if (estado) {
+    const centroid = loadTables().stateCentroids.get(estado.uf);
+    return {
+      ...centroid,
+      precisao: 'estado',
+      codigoIbge: null,
+      uf: estado.uf
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build GeoJSON point features for the communities of a reference
+ * @param {Object} reference - Reference document
+ * @param {string} baseUrl - Public base URL for reference links (optional)
+ * @returns {Object} { features, unresolved } - unresolved counts communities without location
+ */
+function communityFeatures(reference, baseUrl = '') {
+  const features = [];
+  let unresolved = 0;
+
+  (reference.comunidades || []).forEach(comunidade => {
+    const location = locateCommunity(comunidade);
+
+    if (!location) {
+      unresolved++;
+      return;
+    }
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [location.longitude, location.latitude]
+      },
+      properties: {
+        referenciaId: String(reference._id),
+        titulo: reference.titulo,
+        ano: reference.ano,
+        comunidade: comunidade.nome,
+        tipo: comunidade.tipo || null,
+        municipio: comunidade.municipio || null,
+        estado: comunidade.estado || null,
+        uf: location.uf,
+        codigoIbge: location.codigoIbge,
+        precisao: location.precisao,
+        plantas: (comunidade.plantas || []).length,
+        url: `${baseUrl}/reference/${reference._id}`
+      }
+    });
+  });
+
+  return { features, unresolved };
+}
+
+/**
+ * Write communities of the references from a cursor as a GeoJSON
+ * FeatureCollection, honoring backpressure
+ * The foreign member "naoLocalizadas" counts communities that could not be placed
+ * @param {AsyncIterable<Object>} cursor - References
+ * @param {Writable} output - Destination stream
+ * @param {Object} options - { baseUrl }
+ * @returns {Promise<number>} Number of features written
+ */
+async function writeCommunitiesGeoJSON(cursor, output, options = {}) {
+  const { baseUrl = '' } = options;
+  let count = 0;
+  let unresolved = 0;
+
+  const write = async chunk => {
+    if (!output.write(chunk)) {
+      await waitForDrain(output);
+    }
+  };
+
+  await write('{"type":"FeatureCollection","features":[');
+
+  for await (const reference of cursor) {
+    if (output.destroyed) break;
+
+    const result = communityFeatures(reference, baseUrl);
+    unresolved += result.unresolved;
+
+    for (const feature of result.features) {
+      await write((count > 0 ? ',\n' : '\n') + JSON.stringify(feature));
+      count++;
+    }
+  }
+
+  await write(`\n],"naoLocalizadas":${unresolved}}\n`);
+
+  logger.info(`GeoJSON export wrote ${count} communities (${unresolved} not located)`);
+
+  return count;
+}
+
+module.exports = {
+  ESTADOS,
+  resolveEstado,
+  resolveMunicipio,
+  locateCommunity,
+  communityFeatures,
+  writeCommunitiesGeoJSON
+};
@@ -0,0 +1,218 @@
+/**
+ * Import Service
+ *
+ * Bulk import of references from a JSON array in the docs/dataStructure.json
+ * shape. Every record goes through the same normalization as the data
+ * entry form (parseFormData) and through validateReference; valid records
+ * are inserted as pending, rejected ones are collected in a report with
+ * their Portuguese error messages
+ *
+ * Used by the acquisition upload page (/import) and
+ * scripts/import-references.js
+ */
+
+const { validateReference } = require('./validation');
+const { insertReference } = require('./database');
+const { parseFormData, filterEmptyPlants } = require('./referenceInput');
+const { Status } = require('../models/Reference');
+const logger = require('../shared/logger');
+
+/**
+ * Maximum number of records in one import
+ */
+const IMPORT_LIMIT = 1000;
+
+/**
+ * Parse the text of an import file
+ * @param {string} text - JSON text
+ * @returns {Object} { isValid: boolean, errors: string[], records: Array }
+ */
+function parseImportFile(text) {
+  let records;
+
+  try {
+    records = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { isValid: false, errors: [`JSON inválido: ${error.message}`], records: [] };
+  }
+
+  if (!Array.isArray(records)) {
+    return {
+      isValid: false,
+      errors: ['O arquivo deve conter uma lista (array JSON) de referências'],
+      records: []
+    };
+  }
+
+  if (records.length === 0) {
+    return { isValid: false, errors: ['O arquivo não contém nenhuma referência'], records: [] };
+  }
+
+  if (records.length > IMPORT_LIMIT) {
+    return {
+      isValid: false,
+      errors: [`O arquivo contém ${records.length} referências; o máximo por importação é ${IMPORT_LIMIT}`],
+      records: []
+    };
+  }
+
+  return { isValid: true, errors: [], records };
+}
+
+/**
+ * Check the JSON types of a record before normalization
+ * Text fields must be strings; list fields may be arrays or comma-separated strings
+ * @param {Object} record - Record from the import file
+ * @returns {Array<string>} Error messages
+ */
+function checkFieldTypes(record) {
+  const errors = [];
+  const isText = value => value === undefined || value === null || typeof value === 'string';
+  const isList = value => isText(value) || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+  const check = (valid, label, expected) => {
+    if (!valid) errors.push(`${label} deve ser ${expected}`);
+  };
+
+  ['titulo', 'resumo', 'DOI'].forEach(field => check(isText(record[field]), `Campo "${field}"`, 'texto'));
+  check(isList(record.autores), 'Campo "autores"', 'uma lista de textos');
+  check(['undefined', 'number', 'string'].includes(typeof record.ano), 'Campo "ano"', 'um número');
+
+  if (record.comunidades === undefined || record.comunidades === null) return errors;
+
+  if (!Array.isArray(record.comunidades)) {
+    errors.push('Campo "comunidades" deve ser uma lista');
+    return errors;
+  }
+
+  record.comunidades.forEach((comunidade, cIdx) => {
+    const prefix = `Comunidade ${cIdx + 1}`;
+
+    if (!comunidade || typeof comunidade !== 'object' || Array.isArray(comunidade)) {
+      errors.push(`${prefix} deve ser um objeto`);
+      return;
+    }
+
+    ['nome', 'tipo', 'municipio', 'estado', 'local', 'observacoes']
+      .forEach(field => check(isText(comunidade[field]), `${prefix}: campo "${field}"`, 'texto'));
+    check(isList(comunidade.atividadesEconomicas), `${prefix}: campo "atividadesEconomicas"`, 'uma lista de textos');
+
+    if (comunidade.plantas !== undefined && !Array.isArray(comunidade.plantas)) {
+      errors.push(`${prefix}: campo "plantas" deve ser uma lista`);
+      return;
+    }
+
+    (comunidade.plantas || []).forEach((planta, pIdx) => {
+      const plantPrefix = `${prefix}, Planta ${pIdx + 1}`;
+
+      if (!planta || typeof planta !== 'object' || Array.isArray(planta)) {
+        errors.push(`${plantPrefix} deve ser um objeto`);
+        return;
+      }
+
+      ['nomeCientifico', 'nomeVernacular', 'tipoUso']
+        .forEach(field => check(isList(planta[field]), `${plantPrefix}: campo "${field}"`, 'uma lista de textos'));
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize and validate one record
+ * @param {any} record - Record from the import file
+ * @returns {Object} { isValid: boolean, errors: string[], reference }
+ */
+function prepareRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { isValid: false, errors: ['O registro não é um objeto JSON'], reference: null };
+  }
+
+  const typeErrors = checkFieldTypes(record);
+  if (typeErrors.length > 0) {
+    return { isValid: false, errors: typeErrors, reference: null };
+  }
+
+  const reference = parseFormData({ ...record, comunidades: record.comunidades || [] });
+
+  const validation = validateReference(reference);
+  if (!validation.isValid) {
+    return { isValid: false, errors: validation.errors, reference };
+  }
+
+  // Same clean-up as the data entry form (only after validation passes)
+  reference.comunidades = reference.comunidades.map(comunidade => ({
+    ...comunidade,
+    plantas: filterEmptyPlants(comunidade.plantas)
+  }));
+
+  return { isValid: true, errors: [], reference };
+}
+
+/**
+ * Import references, inserting valid records as pending
+ * Records are independent: one rejected record does not stop the others
+ * @param {Array} records - Records from parseImportFile
+ * @param {Object} options - { dryRun: validate only, insert nothing }
+ * @returns {Promise<Object>} { total, inserted: [{ registro, _id, titulo }],
+ *   rejected: [{ registro, titulo, erros, dados }] } - registro is 1-based
+ */
+async function importReferences(records, options = {}) {
+  const { dryRun = false } = options;
+  const inserted = [];
+  const rejected = [];
+
+  for (const [index, record] of records.entries()) {
+    const registro = index + 1;
+    const titulo = record && typeof record.titulo === 'string' ? record.titulo : '';
+    const prepared = prepareRecord(record);
+
+    if (!prepared.isValid) {
+      rejected.push({ registro, titulo, erros: prepared.errors, dados: record });
+      continue;
+    }
+
+    if (dryRun) {
+      inserted.push({ registro, _id: null, titulo: prepared.reference.titulo });
+      continue;
+    }
+
+    try {
+      const reference = await insertReference({ ...prepared.reference, status: Status.PENDING });
+      inserted.push({ registro, _id: reference._id, titulo: reference.titulo });
+    } catch (error) {
+      rejected.push({ registro, titulo, erros: [error.message], dados: record });
+    }
+  }
+
+  logger.acquisition(
+    `Import ${dryRun ? 'validated' : 'finished'}: ${inserted.length} accepted, ${rejected.length} rejected of ${records.length}`
+  );
+
+  return { total: records.length, inserted, rejected };
+}
+
+/**
+ * Build the downloadable report of an import
+ * Rejected records keep their original data so they can be fixed and
+ * imported again
+ * @param {Object} result - Result of importReferences
+ * @returns {Object} Report { data, total, importados, rejeitados, registrosRejeitados }
+ */
+function buildImportReport(result) {
+  return {
+    data: new Date().toISOString(),
+    total: result.total,
+    importados: result.inserted.length,
+    rejeitados: result.rejected.length,
+    registrosRejeitados: result.rejected
+  };
+}
+
+module.exports = {
+  IMPORT_LIMIT,
+  parseImportFile,
+  prepareRecord,
+  importReferences,
+  buildImportReport
+};
@@ -0,0 +1,261 @@
+/**
+ * Metadata Service
+ *
+ * Machine-readable page metadata for search engines and link previews:
+ * schema.org JSON-LD (ScholarlyArticle, Dataset), Open Graph tags,
+ * Google Scholar (Highwire) citation tags, and the sitemap.xml
+ *
+ * Page metadata objects are rendered by shared/views/partials/metadata.ejs
+ */
+
+const config = require('../shared/config');
+const logger = require('../shared/logger');
+const { escapeXml } = require('../shared/utils/sanitize');
+const { waitForDrain } = require('../shared/utils/stream');
+const { parseAuthorName } = require('./citation');
+
+/**
+ * Maximum number of URLs in one sitemap file (sitemaps.org protocol)
+ */
+const SITEMAP_LIMIT = 50000;
+
+/**
+ * Serialize JSON-LD for an inline <script> (no "</script>" breakout)
+ * @param {Object} data - JSON-LD object
+ * @returns {string} JSON text safe inside a script element
+ */
+function toScriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Shorten text for meta descriptions
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Text cut at a word boundary with an ellipsis
+ */
+function summarize(text, maxLength = 200) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  return clean.slice(0, clean.lastIndexOf(' ', maxLength - 1)) + '…';
+}
+
+/**
+ * Describe a community as a place: "Ponta do Almada, Ubatuba - São Paulo"
+ * @param {Object} comunidade - Community
+ * @returns {string} Place name
+ */
+function placeName(comunidade) {
+  const place = [comunidade.municipio, comunidade.estado].filter(Boolean).join(' - ');
+  return [comunidade.nome, place].filter(Boolean).join(', ');
+}
+
+/**
+ * schema.org Dataset describing etnoDB (publisher, license, downloads)
+ * @param {string} baseUrl - Public base URL
+ * @returns {Object} JSON-LD object
+ */
+function datasetJsonLd(baseUrl) {
+  const { title, publisher, license } = config.dataset;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Dataset',
+    '@id': `${baseUrl}/`,
+    name: title,
+    description: 'Referências científicas sobre a relação de comunidades tradicionais brasileiras com as plantas: comunidades, espécies, nomes vernaculares e tipos de uso.',
+    url: `${baseUrl}/`,
+    inLanguage: 'pt-BR',
+    isAccessibleForFree: true,
+    license,
+    keywords: ['etnobotânica', 'comunidades tradicionais', 'plantas úteis', 'Brasil'],
+    spatialCoverage: { '@type': 'Place', name: 'Brasil' },
+    publisher: { '@type': 'Organization', name: publisher },
+    distribution: [
+      { '@type': 'DataDownload', encodingFormat: 'text/csv', contentUrl: `${baseUrl}/export/csv` },
+      { '@type': 'DataDownload', encodingFormat: 'application/zip', name: 'Darwin Core Archive', contentUrl: `${baseUrl}/export/dwca` },
+      { '@type': 'DataDownload', encodingFormat: 'application/geo+json', contentUrl: `${baseUrl}/api/geo/communities.geojson` }
+    ]
+  };
+}
+
+/**
+ * schema.org ScholarlyArticle for an approved reference
+ * Plants are listed as Taxon "about" entries, communities as spatial coverage
+ * @param {Object} reference - Reference document
+ * @param {string} url - Permanent URL of the reference page
+ * @param {string} baseUrl - Public base URL
+ * @returns {Object} JSON-LD object
+ */
+function referenceJsonLd(reference, url, baseUrl) {
+  const comunidades = reference.comunidades || [];
+  const plantas = comunidades.flatMap(comunidade => comunidade.plantas || []);
+  const taxa = [...new Set(plantas.flatMap(planta => planta.nomeCientifico || []))];
+  const usos = [...new Set(plantas.flatMap(planta => planta.tipoUso || []))];
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'ScholarlyArticle',
+    '@id': url,
+    url,
+    headline: reference.titulo,
+    name: reference.titulo,
+    author: (reference.autores || []).map(autor => {
+      const { family, given } = parseAuthorName(autor);
+      return { '@type': 'Person', name: [given, family].filter(Boolean).join(' '), familyName: family, givenName: given || undefined };
+    }),
+    datePublished: reference.ano ? String(reference.ano) : undefined,
+    abstract: reference.resumo || undefined,
+    about: taxa.map(name => ({ '@type': 'Taxon', name, taxonRank: 'species' })),
+    keywords: usos.length > 0 ? usos : undefined,
+    spatialCoverage: comunidades.map(comunidade => ({ '@type': 'Place', name: placeName(comunidade) })),
+    isPartOf: { '@type': 'Dataset', '@id': `${baseUrl}/`, name: config.dataset.title }
+  };
+
+  if (reference.DOI) {
+    data.identifier = { '@type': 'PropertyValue', propertyID: 'DOI', value: reference.DOI };
+    data.sameAs = `https://doi.org/${reference.DOI}`;
+  }
+
+  return data;
+}
+
+/**
+ * Page metadata for the search page (Dataset)
+ * @param {string} baseUrl - Public base URL
+ * @returns {Object} { title, description, url, type, image, jsonLd }
+ */
+function searchPageMetadata(baseUrl) {
+  const dataset = datasetJsonLd(baseUrl);
+
+  return {
+    title: config.dataset.title,
+    description: dataset.description,
+    url: `${baseUrl}/`,
+    type: 'website',
+    image: `${baseUrl}/images/logo.png`,
+    jsonLd: toScriptJson(dataset)
+  };
+}
+
+/**
+ * Page metadata for a reference page (ScholarlyArticle, Open Graph
+ * article and Google Scholar citation_* tags)
+ * @param {Object} reference - Reference document
+ * @param {string} url - Permanent URL of the reference page
+ * @param {string} baseUrl - Public base URL
+ * @returns {Object} { title, description, url, type, image, jsonLd, citation }
+ */
+function referencePageMetadata(reference, url, baseUrl) {
+  const comunidades = (reference.comunidades || []).map(placeName);
+  const description = reference.resumo
+    ? summarize(reference.resumo)
+    : summarize(`${(reference.autores || []).join('; ')} (${reference.ano}). Comunidades: ${comunidades.join('; ')}`);
+
+  const citation = [
+    { name: 'citation_title', content: reference.titulo },
+    ...(reference.autores || []).map(autor => ({ name: 'citation_author', content: autor })),
+    { name: 'citation_publication_date', content: String(reference.ano || '') },
+    { name: 'citation_abstract_html_url', content: url }
+  ];
+
+  if (reference.DOI) {
+    citation.push({ name: 'citation_doi', content: reference.DOI });
+  }
+
+  return {
+    title: reference.titulo,
+    description,
+    url,
+    type: 'article',
+    image: `${baseUrl}/images/logo.png`,
+    jsonLd: toScriptJson(referenceJsonLd(reference, url, baseUrl)),
+    citation: citation.filter(tag => tag.content)
+  };
+}
+
+/**
+ * Page metadata for other public pages (Open Graph only)
+ * @param {string} title - Page title
+ * @param {string} description - Page description
+ * @param {string} url - Canonical URL
+ * @param {string} baseUrl - Public base URL
+ * @returns {Object} { title, description, url, type, image }
+ */
+function pageMetadata(title, description, url, baseUrl) {
+  return {
+    title,
+    description: summarize(description),
+    url,
+    type: 'website',
+    image: `${baseUrl}/images/logo.png`
+  };
+}
+
+/**
+ * Write sitemap.xml: browse pages, searches per estado, species pages
+ * and every approved reference, honoring backpressure
+ * @param {Writable} output - Destination stream
+ * @param {Object} sources - { baseUrl, estados, species, references (AsyncIterable) }
+ * @returns {Promise<number>} Number of URLs written
+ */
+async function writeSitemap(output, sources) {
+  const { baseUrl, estados = [], species = [], references = [] } = sources;
+  let count = 0;
+
+  const write = async chunk => {
+    if (!output.write(chunk)) {
+      await waitForDrain(output);
+    }
+  };
+
+  const writeUrl = async (loc, lastmod) => {
+    if (count >= SITEMAP_LIMIT) return false;
+
+    await write(`  <url><loc>${escapeXml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString().slice(0, 10)}</lastmod>` : ''}</url>\n`);
+    count++;
+    return true;
+  };
+
+  await write('<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n');
+
+  for (const path of ['/', '/species', '/statistics']) {
+    await writeUrl(`${baseUrl}${path}`);
+  }
+
+  for (const estado of estados) {
+    await writeUrl(`${baseUrl}/?${new URLSearchParams({ estado })}`);
+  }
+
+  for (const name of species) {
+    await writeUrl(`${baseUrl}/species/${encodeURIComponent(name)}`);
+  }
+
+  for await (const reference of references) {
+    if (output.destroyed) break;
+
+    const lastmod = reference.updatedAt ? new Date(reference.updatedAt) : null;
+    if (!await writeUrl(`${baseUrl}/reference/${reference._id}`, lastmod)) break;
+  }
+
+  await write('</urlset>\n');
+
+  if (count >= SITEMAP_LIMIT) {
+    logger.info(`Sitemap truncated at ${SITEMAP_LIMIT} URLs`);
+  }
+
+  logger.info(`Sitemap wrote ${count} URLs`);
+
+  return count;
+}
+
+module.exports = {
+  placeName,
+  datasetJsonLd,
+  referenceJsonLd,
+  searchPageMetadata,
+  referencePageMetadata,
+  pageMetadata,
+  writeSitemap
+};
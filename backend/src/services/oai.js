@@ -0,0 +1,560 @@
+/**
+ * OAI-PMH Service
+ *
+ * Protocol support for the OAI-PMH 2.0 provider (/oai): argument
+ * validation, selective harvesting (datestamps and sets), resumption
+ * tokens and the XML responses with Dublin Core (oai_dc) records
+ *
+ * Only approved references are exposed. Record datestamps are the
+ * reference's updatedAt; sets group references per estado and per
+ * community type (estado:bahia, tipo:caicaras)
+ *
+ * Specification: http://www.openarchives.org/OAI/2.0/openarchivesprotocol.htm
+ */
+
+const config = require('../shared/config');
+const { escapeXml, normalizeText } = require('../shared/utils/sanitize');
+const { placeName } = require('./metadata');
+const { Status } = require('../models/Reference');
+
+/**
+ * Records per ListRecords/ListIdentifiers response
+ */
+const OAI_PAGE_SIZE = 100;
+
+/**
+ * Harvest order: oldest datestamp first, _id breaking ties (keyset sort)
+ */
+const HARVEST_SORT = { updatedAt: 1, _id: 1 };
+
+/**
+ * Metadata formats offered for every record
+ */
+const MetadataFormats = {
+  oai_dc: {
+    schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+    namespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/'
+  }
+};
+
+/**
+ * Top-level sets and the community field each one groups by
+ */
+const SetTypes = {
+  estado: { name: 'Estados', path: 'comunidades.estado' },
+  tipo: { name: 'Tipos de comunidade', path: 'comunidades.tipo' }
+};
+
+/**
+ * Arguments accepted by each verb
+ * resumptionToken is exclusive: no other argument may accompany it
+ */
+const Verbs = {
+  Identify: { required: [], optional: [] },
+  ListMetadataFormats: { required: [], optional: ['identifier'] },
+  ListSets: { required: [], optional: [], exclusive: 'resumptionToken' },
+  ListIdentifiers: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  ListRecords: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  GetRecord: { required: ['identifier', 'metadataPrefix'], optional: [] }
+};
+
+/**
+ * Build an OAI-PMH error
+ * @param {string} code - OAI-PMH error code (badArgument, idDoesNotExist, ...)
+ * @param {string} message - Description
+ * @returns {Object} { code, message }
+ */
+function oaiError(code, message) {
+  return { code, message };
+}
+
+/**
+ * Validate the verb and arguments of a request
+ * @param {Object} args - Request arguments (query string or form body)
+ * @returns {Object} { isValid: boolean, errors: Array<{code, message}>, verb }
+ */
+function validateArguments(args) {
+  const { verb, ...rest } = args;
+
+  if (typeof verb !== 'string' || !Object.prototype.hasOwnProperty.call(Verbs, verb)) {
+    const message = Array.isArray(verb)
+      ? 'O argumento verb foi repetido'
+      : verb ? `Verbo desconhecido: ${verb}` : 'O argumento verb é obrigatório';
+    return { isValid: false, errors: [oaiError('badVerb', message)], verb: null };
+  }
+
+  const spec = Verbs[verb];
+  const allowed = [...spec.required, ...spec.optional, spec.exclusive].filter(Boolean);
+  const errors = [];
+
+  Object.keys(rest).forEach(name => {
+    if (!allowed.includes(name)) {
+      errors.push(oaiError('badArgument', `Argumento não permitido em ${verb}: ${name}`));
+    } else if (typeof rest[name] !== 'string') {
+      errors.push(oaiError('badArgument', `O argumento ${name} foi repetido`));
+    }
+  });
+
+  if (spec.exclusive && rest[spec.exclusive] !== undefined) {
+    if (Object.keys(rest).length > 1) {
+      errors.push(oaiError('badArgument', `${spec.exclusive} não pode ser combinado com outros argumentos`));
+    }
+  } else {
+    spec.required
+      .filter(name => rest[name] === undefined)
+      .forEach(name => errors.push(oaiError('badArgument', `O argumento ${name} é obrigatório em ${verb}`)));
+  }
+
+  return { isValid: errors.length === 0, errors, verb };
+}
+
+/**
+ * Parse a from/until datestamp (YYYY-MM-DD or YYYY-MM-DDThh:mm:ssZ)
+ * @param {string} value - Datestamp
+ * @param {boolean} isUntil - Upper bound: day granularity covers the whole day
+ * @returns {Object|null} { date, granularity: 'day'|'seconds', bound } or null when invalid
+ *   bound is the exclusive upper limit for until, the inclusive lower limit for from
+ */
+function parseDatestamp(value, isUntil = false) {
+  const match = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}Z)?$/.exec(value || '');
+  if (!match) return null;
+
+  const granularity = match[1] ? 'seconds' : 'day';
+  const date = new Date(granularity === 'day' ? `${value}T00:00:00Z` : value);
+
+  // Rejects impossible dates such as 2020-02-31
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value.slice(0, 10)) {
+    return null;
+  }
+
+  let bound = date;
+  if (isUntil) {
+    bound = new Date(date.getTime() + (granularity === 'day' ? 24 * 60 * 60 * 1000 : 1000));
+  }
+
+  return { date, granularity, bound };
+}
+
+/**
+ * Format a date as an OAI-PMH datestamp (seconds granularity)
+ * @param {Date} date - Date
+ * @returns {string} e.g. 2025-01-03T12:00:00Z
+ */
+function toDatestamp(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Build the setSpec of a value: "estado:sao-paulo"
+ * @param {string} type - Key of SetTypes
+ * @param {string} value - Estado or community type
+ * @returns {string} setSpec (unreserved URI characters only)
+ */
+function setSpec(type, value) {
+  const slug = normalizeText(value).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${type}:${slug}`;
+}
+
+/**
+ * Repository identifier used in record identifiers
+ * @param {string} baseUrl - Public base URL
+ * @returns {string} e.g. etnodb.example.org
+ */
+function repositoryIdentifier(baseUrl) {
+  return config.oai.repositoryIdentifier || new URL(baseUrl).hostname;
+}
+
+/**
+ * Build the OAI identifier of a reference
+ * @param {Object} reference - Reference document
+ * @param {string} repositoryId - Repository identifier
+ * @returns {string} oai:<repository>:<id>
+ */
+function oaiIdentifier(reference, repositoryId) {
+  return `oai:${repositoryId}:${reference._id}`;
+}
+
+/**
+ * Extract the reference ID from an OAI identifier of this repository
+ * @param {string} identifier - OAI identifier
+ * @param {string} repositoryId - Repository identifier
+ * @returns {string|null} Reference ID or null for foreign identifiers
+ */
+function parseOaiIdentifier(identifier, repositoryId) {
+  const prefix = `oai:${repositoryId}:`;
+
+  if (typeof identifier !== 'string' || !identifier.startsWith(prefix)) {
+    return null;
+  }
+
+  return identifier.slice(prefix.length);
+}
+
+/**
+ * Validate the selective harvesting arguments of a list request
+ * @param {Object} args - { metadataPrefix, from, until, set }
+ * @returns {Object} { isValid: boolean, errors: Array<{code, message}> }
+ */
+function validateHarvest(args) {
+  const errors = [];
+
+  if (!Object.prototype.hasOwnProperty.call(MetadataFormats, args.metadataPrefix)) {
+    errors.push(oaiError('cannotDisseminateFormat', `Formato de metadados não suportado: ${args.metadataPrefix}`));
+  }
+
+  const from = args.from !== undefined ? parseDatestamp(args.from) : null;
+  const until = args.until !== undefined ? parseDatestamp(args.until, true) : null;
+
+  if (args.from !== undefined && !from) {
+    errors.push(oaiError('badArgument', `Data inválida em from: ${args.from}`));
+  }
+
+  if (args.until !== undefined && !until) {
+    errors.push(oaiError('badArgument', `Data inválida em until: ${args.until}`));
+  }
+
+  if (from && until) {
+    if (from.granularity !== until.granularity) {
+      errors.push(oaiError('badArgument', 'from e until devem ter a mesma granularidade'));
+    } else if (from.date > until.date) {
+      errors.push(oaiError('badArgument', 'from é posterior a until'));
+    }
+  }
+
+  if (args.set !== undefined && !Object.prototype.hasOwnProperty.call(SetTypes, args.set.split(':')[0])) {
+    errors.push(oaiError('badArgument', `Conjunto desconhecido: ${args.set}`));
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Build the MongoDB query for a list request
+ * @param {Object} args - Validated { from, until, set }
+ * @param {Array<string>} setValues - Field values of the set's type (for set lookups)
+ * @returns {Object} MongoDB query over approved references
+ */
+function buildHarvestQuery(args, setValues = []) {
+  const query = { status: Status.APPROVED };
+
+  if (args.from || args.until) {
+    query.updatedAt = {};
+    if (args.from) query.updatedAt.$gte = parseDatestamp(args.from).bound;
+    if (args.until) query.updatedAt.$lt = parseDatestamp(args.until, true).bound;
+  }
+
+  if (args.set) {
+    const type = args.set.split(':')[0];
+    const path = SetTypes[type].path;
+
+    if (args.set === type) {
+      query[path] = { $nin: [null, ''] };
+    } else {
+      // Several spellings may share a setSpec ("Sao Paulo", "São Paulo")
+      query[path] = { $in: setValues.filter(value => setSpec(type, value) === args.set) };
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Encode a resumption token
+ * Carries the original arguments, the keyset position and progress
+ * @param {Object} state - { metadataPrefix, from, until, set, after, cursor, total }
+ * @returns {string} Base64url token
+ */
+function encodeResumptionToken(state) {
+  const { metadataPrefix, from, until, set, after, cursor, total } = state;
+  return Buffer.from(JSON.stringify({ p: metadataPrefix, f: from, u: until, s: set, a: after, c: cursor, n: total }))
+    .toString('base64url');
+}
+
+/**
+ * Decode a resumption token
+ * @param {string} token - Token from encodeResumptionToken
+ * @returns {Object|null} State or null when the token is malformed
+ */
+function decodeResumptionToken(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    const optional = [payload.f, payload.u, payload.s];
+
+    if (typeof payload.p !== 'string' || typeof payload.a !== 'string' ||
+        !Number.isInteger(payload.c) || !Number.isInteger(payload.n) ||
+        optional.some(value => value !== undefined && typeof value !== 'string')) {
+      return null;
+    }
+
+    return {
+      metadataPrefix: payload.p,
+      from: payload.f,
+      until: payload.u,
+      set: payload.s,
+      after: payload.a,
+      cursor: payload.c,
+      total: payload.n
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wrap a response body in the OAI-PMH envelope
+ * @param {Object} options - { baseUrl, args (echoed in <request>, omitted on badVerb/badArgument) }
+ * @param {string} body - Verb element or errors
+ * @returns {string} OAI-PMH XML
+ */
+function envelope(options, body) {
+  const { baseUrl, args } = options;
+  const attributes = Object.keys(args || {})
+    .map(name => ` ${name}="${escapeXml(args[name])}"`)
+    .join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/ http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd">
+  <responseDate>${toDatestamp(new Date())}</responseDate>
+  <request${attributes}>${escapeXml(`${baseUrl}/oai`)}</request>
+${body}
+</OAI-PMH>
+`;
+}
+
+/**
+ * Error response body
+ * @param {Array<Object>} errors - { code, message }
+ * @returns {string} XML
+ */
+function errorsXml(errors) {
+  return errors
+    .map(error => `  <error code="${escapeXml(error.code)}">${escapeXml(error.message)}</error>`)
+    .join('\n');
+}
+
+/**
+ * Identify response body
+ * @param {Object} options - { baseUrl, earliestDatestamp }
+ * @returns {string} XML
+ */
+function identifyXml(options) {
+  const { baseUrl, earliestDatestamp } = options;
+  const repositoryId = repositoryIdentifier(baseUrl);
+  const adminEmail = config.dataset.contactEmail
+    ? `\n    <adminEmail>${escapeXml(config.dataset.contactEmail)}</adminEmail>`
+    : '';
+
+  return `  <Identify>
+    <repositoryName>${escapeXml(config.dataset.title)}</repositoryName>
+    <baseURL>${escapeXml(`${baseUrl}/oai`)}</baseURL>
+    <protocolVersion>2.0</protocolVersion>${adminEmail}
+    <earliestDatestamp>${toDatestamp(earliestDatestamp)}</earliestDatestamp>
+    <deletedRecord>no</deletedRecord>
+    <granularity>YYYY-MM-DDThh:mm:ssZ</granularity>
+    <description>
+      <oai-identifier xmlns="http://www.openarchives.org/OAI/2.0/oai-identifier"
+                      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+                      xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd">
+        <scheme>oai</scheme>
+        <repositoryIdentifier>${escapeXml(repositoryId)}</repositoryIdentifier>
+        <delimiter>:</delimiter>
+        <sampleIdentifier>${escapeXml(`oai:${repositoryId}:64b000000000000000000001`)}</sampleIdentifier>
+      </oai-identifier>
+    </description>
+  </Identify>`;
+}
+
+/**
+ * ListMetadataFormats response body
+ * @returns {string} XML
+ */
+function metadataFormatsXml() {
+  const formats = Object.keys(MetadataFormats).map(prefix => `
+    <metadataFormat>
+      <metadataPrefix>${prefix}</metadataPrefix>
+      <schema>${MetadataFormats[prefix].schema}</schema>
+      <metadataNamespace>${MetadataFormats[prefix].namespace}</metadataNamespace>
+    </metadataFormat>`).join('');
+
+  return `  <ListMetadataFormats>${formats}
+  </ListMetadataFormats>`;
+}
+
+/**
+ * ListSets response body: top-level sets, then one set per value
+ * @param {Object} valuesByType - { estado: [...], tipo: [...] }
+ * @returns {string} XML
+ */
+function setsXml(valuesByType) {
+  const sets = Object.keys(SetTypes).flatMap(type => {
+    const specs = new Map();
+
+    (valuesByType[type] || []).forEach(value => {
+      const spec = setSpec(type, value);
+      if (spec !== `${type}:` && !specs.has(spec)) specs.set(spec, value);
+    });
+
+    return [
+      { spec: type, name: SetTypes[type].name },
+      ...[...specs].map(([spec, value]) => ({ spec, name: value }))
+    ];
+  });
+
+  const entries = sets.map(set => `
+    <set>
+      <setSpec>${escapeXml(set.spec)}</setSpec>
+      <setName>${escapeXml(set.name)}</setName>
+    </set>`).join('');
+
+  return `  <ListSets>${entries}
+  </ListSets>`;
+}
+
+/**
+ * Record header: identifier, datestamp and set membership
+ * @param {Object} reference - Reference document
+ * @param {string} repositoryId - Repository identifier
+ * @returns {string} XML
+ */
+function headerXml(reference, repositoryId) {
+  const specs = new Set();
+
+  (reference.comunidades || []).forEach(comunidade => {
+    Object.keys(SetTypes).forEach(type => {
+      const value = comunidade[type];
+      if (value && setSpec(type, value) !== `${type}:`) specs.add(setSpec(type, value));
+    });
+  });
+
+  const sets = [...specs]
+    .map(spec => `\n        <setSpec>${escapeXml(spec)}</setSpec>`)
+    .join('');
+
+  return `<header>
+        <identifier>${escapeXml(oaiIdentifier(reference, repositoryId))}</identifier>
+        <datestamp>${toDatestamp(reference.updatedAt || reference.createdAt)}</datestamp>${sets}
+      </header>`;
+}
+
+/**
+ * Dublin Core (oai_dc) metadata of a reference
+ * Subjects are scientific names and use types; coverage lists the communities
+ * @param {Object} reference - Reference document
+ * @param {string} url - Permanent URL of the reference page
+ * @returns {string} XML
+ */
+function dublinCoreXml(reference, url) {
+  const comunidades = reference.comunidades || [];
+  const plantas = comunidades.flatMap(comunidade => comunidade.plantas || []);
+  const subjects = [...new Set([
+    ...plantas.flatMap(planta => planta.nomeCientifico || []),
+    ...plantas.flatMap(planta => planta.tipoUso || [])
+  ])];
+
+  const elements = [
+    ['dc:title', reference.titulo],
+    ...(reference.autores || []).map(autor => ['dc:creator', autor]),
+    ...subjects.map(subject => ['dc:subject', subject]),
+    ['dc:description', reference.resumo],
+    ['dc:date', reference.ano],
+    ['dc:type', 'Text'],
+    ['dc:identifier', url],
+    ['dc:identifier', reference.DOI ? `https://doi.org/${reference.DOI}` : null],
+    ...comunidades.map(comunidade => ['dc:coverage', placeName(comunidade)]),
+    ['dc:rights', config.dataset.license]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  const lines = elements
+    .map(([name, value]) => `\n          <${name}>${escapeXml(value)}</${name}>`)
+    .join('');
+
+  return `<metadata>
+        <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"
+                   xmlns:dc="http://purl.org/dc/elements/1.1/"
+                   xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+                   xsi:schemaLocation="http://www.openarchives.org/OAI/2.0/oai_dc/ http://www.openarchives.org/OAI/2.0/oai_dc.xsd">${lines}
+        </oai_dc:dc>
+      </metadata>`;
+}
+
+/**
+ * Full record: header and oai_dc metadata
+ * @param {Object} reference - Reference document
+ * @param {Object} options - { baseUrl }
+ * @returns {string} XML
+ */
+function recordXml(reference, options) {
+  const { baseUrl } = options;
+
+  return `    <record>
+      ${headerXml(reference, repositoryIdentifier(baseUrl))}
+      ${dublinCoreXml(reference, `${baseUrl}/reference/${reference._id}`)}
+    </record>`;
+}
+
+/**
+ * Resumption token element
+ * Omitted on complete single-page lists; empty on the last page of a resumed list
+ * @param {string|null} token - Token for the next page
+ * @param {Object} progress - { cursor, total, resumed }
+ * @returns {string} XML
+ */
+function resumptionTokenXml(token, progress) {
+  const { cursor, total, resumed } = progress;
+
+  if (!token && !resumed) return '';
+
+  return `\n    <resumptionToken completeListSize="${total}" cursor="${cursor}">${token ? escapeXml(token) : ''}</resumptionToken>`;
+}
+
+/**
+ * ListIdentifiers/ListRecords/GetRecord response body
+ * @param {string} verb - ListIdentifiers, ListRecords or GetRecord
+ * @param {Array<Object>} references - References of this page
+ * @param {Object} options - { baseUrl, token, cursor, total, resumed }
+ * @returns {string} XML
+ */
+function listXml(verb, references, options) {
+  const repositoryId = repositoryIdentifier(options.baseUrl);
+
+  const items = references
+    .map(reference => (verb === 'ListIdentifiers'
+      ? `    ${headerXml(reference, repositoryId)}`
+      : recordXml(reference, options)))
+    .join('\n');
+
+  const token = verb === 'GetRecord' ? '' : resumptionTokenXml(options.token, options);
+
+  return `  <${verb}>
+${items}${token}
+  </${verb}>`;
+}
+
+module.exports = {
+  OAI_PAGE_SIZE,
+  HARVEST_SORT,
+  MetadataFormats,
+  SetTypes,
+  Verbs,
+  oaiError,
+  validateArguments,
+  validateHarvest,
+  parseDatestamp,
+  toDatestamp,
+  setSpec,
+  repositoryIdentifier,
+  oaiIdentifier,
+  parseOaiIdentifier,
+  buildHarvestQuery,
+  encodeResumptionToken,
+  decodeResumptionToken,
+  envelope,
+  errorsXml,
+  identifyXml,
+  metadataFormatsXml,
+  setsXml,
+  listXml
+};
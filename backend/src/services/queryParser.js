@@ -0,0 +1,344 @@
+/**
+ * Query Parser Service
+ *
+ * Advanced syntax for the free-text "q" search:
+ * - field:value prefixes (planta:, uso:, estado:, autor:, ano:2000..2010, ...)
+ * - "quoted phrases"
+ * - AND / OR / NOT (or E / OU / NÃO), -termo and parentheses
+ * Adjacent terms are combined with AND
+ *
+ * Example: uso:medicinal AND estado:Pará AND NOT tipo:Caiçaras
+ *
+ * Queries are compiled into MongoDB conditions over the normalized
+ * "busca" shadow field, so matching ignores case and accents
+ * Error messages in Portuguese per requirements
+ */
+
+const { normalizeText, sanitizeRegex } = require('../shared/utils/sanitize');
+
+/**
+ * Boolean operators (uppercase only, so "e" or "ou" in a title are plain words)
+ */
+const OPERATORS = {
+  AND: 'AND',
+  E: 'AND',
+  OR: 'OR',
+  OU: 'OR',
+  NOT: 'NOT',
+  'NÃO': 'NOT',
+  NAO: 'NOT'
+};
+
+/**
+ * Field prefixes and how each one matches
+ * - partial: value contained in the normalized field
+ * - exact: normalized field equals the value
+ */
+const QUERY_FIELDS = {
+  planta: { path: 'busca.plantas', match: 'partial' },
+  uso: { path: 'busca.usos', match: 'partial' },
+  comunidade: { path: 'busca.comunidades', match: 'partial' },
+  tipo: { path: 'busca.tipos', match: 'partial' },
+  estado: { path: 'busca.estados', match: 'exact' },
+  municipio: { path: 'busca.municipios', match: 'exact' },
+  autor: { path: 'busca.autores', match: 'partial' },
+  titulo: { path: 'busca.titulo', match: 'partial' },
+  doi: { path: 'DOI', match: 'doi' },
+  ano: { path: 'ano', match: 'year' }
+};
+
+/**
+ * Field searched by terms without a prefix: title, abstract, authors,
+ * plants, uses, communities and places in one normalized string
+ * (see buildSearchFields), so each term is a single regex
+ */
+const FREE_TEXT_PATH = 'busca.texto';
+
+/**
+ * Check whether a query uses the advanced syntax
+ * Plain queries keep using the ranked full-text index
+ * @param {string} q - Free-text query
+ * @returns {boolean} True for field prefixes, operators or parentheses
+ */
+function isAdvancedQuery(q) {
+  if (!q || typeof q !== 'string') return false;
+
+  if (/[()]/.test(q)) return true;
+
+  return q.split(/\s+/).some(word => {
+    if (OPERATORS[word]) return true;
+
+    const prefix = word.replace(/^-/, '').match(/^([^:"]+):/);
+    return Boolean(prefix && QUERY_FIELDS[normalizeText(prefix[1])]);
+  });
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} input - Query text
+ * @returns {Array<Object>} Tokens { type: lparen|rparen|op|term, ... , position }
+ * @throws {Error} On unclosed quotes, unknown fields or empty values
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readPhrase = start => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new Error(`aspas abertas na posição ${start + 1} não foram fechadas`);
+    }
+    return { text: input.slice(start + 1, end), next: end + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position: i + 1 });
+      i++;
+    } else if (char === '"') {
+      const phrase = readPhrase(i);
+      tokens.push({ type: 'term', field: null, value: phrase.text, text: `"${phrase.text}"`, position: i + 1 });
+      i = phrase.next;
+    } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'op', operator: 'NOT', text: '-', position: i + 1 });
+      i++;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+
+      const word = input.slice(start, i);
+      const prefix = word.match(/^([^:]+):(.*)$/);
+
+      if (OPERATORS[word]) {
+        tokens.push({ type: 'op', operator: OPERATORS[word], text: word, position: start + 1 });
+      } else if (prefix) {
+        const field = normalizeText(prefix[1]);
+        let value = prefix[2];
+
+        if (!QUERY_FIELDS[field]) {
+          throw new Error(
+            `campo desconhecido "${prefix[1]}" (use ${Object.keys(QUERY_FIELDS).join(', ')})`
+          );
+        }
+
+        // field:"quoted value"
+        if (value.length === 0 && input[i] === '"') {
+          const phrase = readPhrase(i);
+          value = phrase.text;
+          i = phrase.next;
+        }
+
+        if (value.trim().length === 0) {
+          throw new Error(`falta o valor do campo "${prefix[1]}" na posição ${start + 1}`);
+        }
+
+        tokens.push({ type: 'term', field, value, text: word, position: start + 1 });
+      } else {
+        tokens.push({ type: 'term', field: null, value: word, text: word, position: start + 1 });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into a syntax tree (recursive descent)
+ * Precedence: NOT > AND (explicit or implicit) > OR
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Object} Node { type: and|or|not|term, ... }
+ * @throws {Error} On misplaced operators or unbalanced parentheses
+ */
+function parseTokens(tokens) {
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOperator = (token, operator) => token && token.type === 'op' && token.operator === operator;
+
+  const requireOperand = operatorToken => {
+    const token = peek();
+    if (!token || token.type === 'rparen' || isOperator(token, 'AND') || isOperator(token, 'OR')) {
+      throw new Error(`falta um termo depois de "${operatorToken.text}" na posição ${operatorToken.position}`);
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+
+    if (token.type === 'lparen') {
+      if (!peek()) {
+        throw new Error(`parêntese aberto na posição ${token.position} não foi fechado`);
+      }
+
+      if (peek().type === 'rparen') {
+        throw new Error(`parênteses vazios na posição ${token.position}`);
+      }
+
+      const node = parseOr();
+
+      if (!peek() || peek().type !== 'rparen') {
+        throw new Error(`parêntese aberto na posição ${token.position} não foi fechado`);
+      }
+      pos++;
+      return node;
+    }
+
+    if (token.type === 'rparen') {
+      throw new Error(`parêntese ")" sem abertura na posição ${token.position}`);
+    }
+
+    if (token.type === 'op') {
+      throw new Error(`falta um termo antes de "${token.text}" na posição ${token.position}`);
+    }
+
+    return { type: 'term', field: token.field, value: token.value, text: token.text };
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), 'NOT')) {
+      const operatorToken = tokens[pos++];
+      requireOperand(operatorToken);
+      return { type: 'not', child: parseUnary() };
+    }
+
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+
+    while (peek() && peek().type !== 'rparen' && !isOperator(peek(), 'OR')) {
+      if (isOperator(peek(), 'AND')) {
+        requireOperand(tokens[pos++]);
+      }
+      children.push(parseUnary());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  function parseOr() {
+    const children = [parseAnd()];
+
+    while (isOperator(peek(), 'OR')) {
+      requireOperand(tokens[pos++]);
+      children.push(parseAnd());
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  const tree = parseOr();
+
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new Error(`parêntese ")" sem abertura na posição ${token.position}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Parse an advanced query
+ * @param {string} q - Query text
+ * @returns {Object} { isValid: boolean, errors: string[], tree: Object|null }
+ */
+function parseQuery(q) {
+  try {
+    const tokens = tokenize(q || '');
+
+    if (tokens.length === 0) {
+      return { isValid: false, errors: ['consulta vazia'], tree: null };
+    }
+
+    const tree = parseTokens(tokens);
+    compileQuery(tree); // surfaces invalid field values (e.g. ano:abc)
+
+    return { isValid: true, errors: [], tree };
+  } catch (error) {
+    return { isValid: false, errors: [error.message], tree: null };
+  }
+}
+
+/**
+ * Parse an "ano:" value: 2000, 2000..2010, 2000.. or ..2010
+ * @param {string} value - Year or range
+ * @returns {Object} MongoDB condition on "ano"
+ * @throws {Error} On invalid years or reversed ranges
+ */
+function compileYear(value) {
+  const range = value.match(/^(\d{4})?\.\.(\d{4})?$/);
+
+  if (/^\d{4}$/.test(value)) {
+    return { ano: parseInt(value) };
+  }
+
+  if (!range || (!range[1] && !range[2])) {
+    throw new Error(`ano inválido "${value}" (use ano:2000 ou ano:2000..2010)`);
+  }
+
+  const condition = {};
+  if (range[1]) condition.$gte = parseInt(range[1]);
+  if (range[2]) condition.$lte = parseInt(range[2]);
+
+  if (condition.$gte > condition.$lte) {
+    throw new Error(`intervalo de anos invertido "${value}"`);
+  }
+
+  return { ano: condition };
+}
+
+/**
+ * Compile a syntax tree node into a MongoDB condition
+ * @param {Object} node - Node from parseQuery
+ * @returns {Object} MongoDB condition
+ */
+function compileQuery(node) {
+  switch (node.type) {
+  case 'and':
+    return { $and: node.children.map(compileQuery) };
+  case 'or':
+    return { $or: node.children.map(compileQuery) };
+  case 'not':
+    return { $nor: [compileQuery(node.child)] };
+  default:
+    return compileTerm(node);
+  }
+}
+
+/**
+ * Compile a single term (with or without field prefix)
+ * @param {Object} node - Term node { field, value }
+ * @returns {Object} MongoDB condition
+ */
+function compileTerm(node) {
+  const value = normalizeText(node.value);
+
+  if (!node.field) {
+    return { [FREE_TEXT_PATH]: { $regex: sanitizeRegex(value) } };
+  }
+
+  const field = QUERY_FIELDS[node.field];
+
+  switch (field.match) {
+  case 'year':
+    return compileYear(node.value.trim());
+  case 'doi':
+    return { [field.path]: { $regex: sanitizeRegex(node.value), $options: 'i' } };
+  case 'exact':
+    return { [field.path]: value };
+  default:
+    return { [field.path]: { $regex: sanitizeRegex(value) } };
+  }
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  isAdvancedQuery,
+  parseQuery,
+  compileQuery
+};
@@ -0,0 +1,276 @@
+/**
+ * Reference Input Service
+ *
+ * Normalization of submitted reference data, shared by the data entry
+ * form and the bulk JSON import:
+ * - comma-separated fields become arrays
+ * - authors are formatted as ABNT (SOBRENOME, N.)
+ * - state abbreviations become full names
+ * - vernacular names are lowercased and hyphenated
+ */
+
+/**
+ * Filter out empty plants (plants without any names)
+ * @param {Array} plantas - Array of plants
+ * @returns {Array} Filtered array of plants
+ */
+function filterEmptyPlants(plantas) {
+  return plantas.filter(plant => {
+    const hasScientificName = Array.isArray(plant.nomeCientifico) &&
+      plant.nomeCientifico.some(n => n && typeof n === 'string' && n.trim().length > 0);
+
+    const hasVernacularName = Array.isArray(plant.nomeVernacular) &&
+      plant.nomeVernacular.some(n => n && typeof n === 'string' && n.trim().length > 0);
+
+    return hasScientificName || hasVernacularName;
+  });
+}
+
+/**
+ * Parse form data into reference structure
+ * Handles nested arrays from HTML form (comunidades[0][plantas][0][field])
+ * and JSON bodies (arrays or comma-separated strings)
+ * Converts comma-separated strings to arrays
+ * @param {Object} formData - Form body or JSON reference
+ * @returns {Object} Reference data ready for validateReference
+ */
+function parseFormData(formData) {
+  // Check if comunidades is already parsed as JSON array
+  if (Array.isArray(formData.comunidades)) {
+
+    // Data is already in the correct format (sent as JSON)
+    const reference = {
+      titulo: formData.titulo?.trim() || '',
+      autores: (Array.isArray(formData.autores)
+        ? formData.autores
+        : parseCommaSeparated(formData.autores)).map(formatAuthorABNT),
+      ano: parseInt(formData.ano) || 0,
+      resumo: formData.resumo?.trim() || '',
+      DOI: formData.DOI?.trim() || '',
+      comunidades: formData.comunidades.map(com => ({
+        nome: com.nome?.trim() || '',
+        tipo: com.tipo?.trim() || '',
+        municipio: com.municipio?.trim() || '',
+        estado: formatStateName(com.estado || ''),
+        local: com.local?.trim() || '',
+        atividadesEconomicas: Array.isArray(com.atividadesEconomicas)
+          ? com.atividadesEconomicas
+          : parseCommaSeparated(com.atividadesEconomicas),
+        observacoes: com.observacoes?.trim() || '',
+        plantas: (com.plantas || []).map(p => ({
+          nomeCientifico: Array.isArray(p.nomeCientifico)
+            ? p.nomeCientifico
+            : parseCommaSeparated(p.nomeCientifico),
+          nomeVernacular: (Array.isArray(p.nomeVernacular)
+            ? p.nomeVernacular
+            : parseCommaSeparated(p.nomeVernacular)).map(formatVernacularName),
+          tipoUso: Array.isArray(p.tipoUso)
+            ? p.tipoUso
+            : parseCommaSeparated(p.tipoUso)
+        }))  // Don't filter here - let validation catch empty plants
+      }))
+    };
+
+    return reference;
+  }
+
+  // Original parsing for form-urlencoded format
+  const reference = {
+    titulo: formData.titulo?.trim() || '',
+    autores: parseCommaSeparated(formData.autores).map(formatAuthorABNT),
+    ano: parseInt(formData.ano) || 0,
+    resumo: formData.resumo?.trim() || '',
+    DOI: formData.DOI?.trim() || '',
+    comunidades: []
+  };
+
+  // Parse communities (nested structure)
+  const comunidadesData = {};
+
+  // Extract all community-related fields from flat form data
+  Object.keys(formData).forEach(key => {
+    const match = key.match(/^comunidades\[(\d+)\]\[(.+)\]$/);
+    if (match) {
+      const [, index, field] = match;
+      const idx = parseInt(index);
+
+      if (!comunidadesData[idx]) {
+        comunidadesData[idx] = { plantas: {} };
+      }
+
+      // Check if it's a plant field
+      const plantMatch = field.match(/^plantas\]\[(\d+)\]\[(.+)$/);
+      if (plantMatch) {
+        const [, plantIndex, plantField] = plantMatch;
+        const pIdx = parseInt(plantIndex);
+
+        if (!comunidadesData[idx].plantas[pIdx]) {
+          comunidadesData[idx].plantas[pIdx] = {};
+        }
+
+        comunidadesData[idx].plantas[pIdx][plantField] = formData[key];
+      } else {
+        // Community field
+        comunidadesData[idx][field] = formData[key];
+      }
+    }
+  });
+
+  // Convert to array structure
+  Object.keys(comunidadesData).sort().forEach(idx => {
+    const comunidade = comunidadesData[idx];
+
+    // Parse plants array
+    const plantas = [];
+    Object.keys(comunidade.plantas).sort().forEach(pIdx => {
+      const plant = comunidade.plantas[pIdx];
+
+      plantas.push({
+        nomeCientifico: parseCommaSeparated(plant.nomeCientifico),
+        nomeVernacular: parseCommaSeparated(plant.nomeVernacular).map(formatVernacularName),
+        tipoUso: parseCommaSeparated(plant.tipoUso)
+      });
+    });
+
+    reference.comunidades.push({
+      nome: comunidade.nome?.trim() || '',
+      tipo: comunidade.tipo?.trim() || '',
+      municipio: comunidade.municipio?.trim() || '',
+      estado: formatStateName(comunidade.estado || ''),
+      local: comunidade.local?.trim() || '',
+      atividadesEconomicas: parseCommaSeparated(comunidade.atividadesEconomicas),
+      observacoes: comunidade.observacoes?.trim() || '',
+      plantas: plantas  // Don't filter here - let validation catch empty plants
+    });
+  });
+
+  return reference;
+}
+
+/**
+ * Convert comma-separated string to array
+ * @param {string} str - Comma-separated string
+ * @returns {Array<string>} Array of trimmed strings
+ */
+function parseCommaSeparated(str) {
+  if (!str || typeof str !== 'string') return [];
+
+  return str
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Format vernacular names to lowercase with hyphens
+ * @param {string} name - Vernacular name
+ * @returns {string} Formatted vernacular name
+ */
+function formatVernacularName(name) {
+  if (!name || typeof name !== 'string') return '';
+
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Convert state abbreviation to full name
+ * @param {string} state - State abbreviation or full name
+ * @returns {string} Full state name
+ */
+function formatStateName(state) {
+  if (!state || typeof state !== 'string') return '';
+
+  const stateMap = {
+    'AC': 'Acre',
+    'AL': 'Alagoas',
+    'AP': 'Amapá',
+    'AM': 'Amazonas',
+    'BA': 'Bahia',
+    'CE': 'Ceará',
+    'DF': 'Distrito Federal',
+    'ES': 'Espírito Santo',
+    'GO': 'Goiás',
+    'MA': 'Maranhão',
+    'MT': 'Mato Grosso',
+    'MS': 'Mato Grosso do Sul',
+    'MG': 'Minas Gerais',
+    'PA': 'Pará',
+    'PB': 'Paraíba',
+    'PR': 'Paraná',
+    'PE': 'Pernambuco',
+    'PI': 'Piauí',
+    'RJ': 'Rio de Janeiro',
+    'RN': 'Rio Grande do Norte',
+    'RS': 'Rio Grande do Sul',
+    'RO': 'Rondônia',
+    'RR': 'Roraima',
+    'SC': 'Santa Catarina',
+    'SP': 'São Paulo',
+    'SE': 'Sergipe',
+    'TO': 'Tocantins'
+  };
+
+  const trimmed = state.trim().toUpperCase();
+
+  // If it's a known abbreviation, convert it
+  if (stateMap[trimmed]) {
+    return stateMap[trimmed];
+  }
+
+  // Otherwise, return as-is (might already be full name)
+  return state.trim();
+}
+
+/**
+ * Convert author name to ABNT format
+ * Format: SOBRENOME, N.
+ * @param {string} author - Author name in any format
+ * @returns {string} Author name in ABNT format
+ */
+function formatAuthorABNT(author) {
+  if (!author || typeof author !== 'string') return '';
+
+  author = author.trim();
+  if (author.length === 0) return '';
+
+  // Check if already in format "SOBRENOME, Nome" or "Sobrenome, Nome"
+  if (author.includes(',')) {
+    const [lastName, firstName] = author.split(',').map(part => part.trim());
+
+    if (!firstName || firstName.length === 0) {
+      // Only last name provided
+      return lastName.toUpperCase();
+    }
+
+    // Extract first letter of first name
+    const firstInitial = firstName.charAt(0).toUpperCase();
+    return `${lastName.toUpperCase()}, ${firstInitial}.`;
+  }
+
+  // Format: "Nome Sobrenome" - need to reverse
+  const parts = author.split(/\s+/).filter(p => p.length > 0);
+
+  if (parts.length === 1) {
+    // Only one word - treat as last name
+    return parts[0].toUpperCase();
+  }
+
+  // Last part is the last name, rest is first names
+  const lastName = parts[parts.length - 1];
+  const firstNames = parts.slice(0, -1);
+  const firstInitial = firstNames[0].charAt(0).toUpperCase();
+
+  return `${lastName.toUpperCase()}, ${firstInitial}.`;
+}
+
+module.exports = {
+  parseFormData,
+  filterEmptyPlants,
+  parseCommaSeparated,
+  formatVernacularName,
+  formatStateName,
+  formatAuthorABNT
+};
@@ -0,0 +1,386 @@
+/**
+ * Search Service
+ *
+ * Builds MongoDB queries for the public search filters
+ * Shared by the presentation HTML pages and the JSON API
+ */
+
+const { Status } = require('../models/Reference');
+const { escapeHtml, normalizeText, sanitizeRegex } = require('../shared/utils/sanitize');
+const { isAdvancedQuery, parseQuery, compileQuery } = require('./queryParser');
+
+/**
+ * Default and maximum page sizes for public listings
+ */
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Sort orders for public results ("ordem" parameter)
+ * sort: null means relevance (textScore) for free-text queries and
+ * recently added first otherwise; _id breaks ties so pages are stable
+ */
+const SortOptions = {
+  relevancia: { label: 'Relevância', sort: null },
+  'ano-desc': { label: 'Ano (mais recentes primeiro)', sort: { ano: -1, _id: -1 } },
+  'ano-asc': { label: 'Ano (mais antigos primeiro)', sort: { ano: 1, _id: 1 } },
+  titulo: { label: 'Título (A-Z)', sort: { 'busca.titulo': 1, _id: 1 } },
+  plantas: { label: 'Mais plantas documentadas', sort: { 'busca.totalPlantas': -1, _id: -1 } },
+  comunidades: { label: 'Mais comunidades documentadas', sort: { 'busca.totalComunidades': -1, _id: -1 } },
+  recentes: { label: 'Adicionadas recentemente', sort: { createdAt: -1, _id: -1 } }
+};
+
+/**
+ * Extract search filters and pagination from a request query string
+ * @param {Object} params - Express req.query
+ * @returns {Object} { filters, page, limit }
+ */
+function parseSearchParams(params = {}) {
+  const filters = {
+    q: asString(params.q),
+    tipo: asString(params.tipo),
+    comunidade: asString(params.comunidade),
+    planta: asString(params.planta),
+    estado: asString(params.estado),
+    municipio: asString(params.municipio),
+    uso: asString(params.uso),
+    ano: asString(params.ano),
+    anoDe: asString(params.anoDe),
+    anoAte: asString(params.anoAte),
+    autor: asString(params.autor),
+    comDoi: ['1', 'true', 'on'].includes(asString(params.comDoi)) ? '1' : '',
+    // Not a filter, but kept with them so pagination and facet links preserve it
+    ordem: SortOptions[asString(params.ordem)] ? asString(params.ordem) : ''
+  };
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { filters, page, limit };
+}
+
+/**
+ * Check the advanced query syntax of the "q" filter
+ * Routes call this before buildSearchQuery to answer malformed queries
+ * with 400 instead of an exception
+ * @param {Object} filters - Search filters
+ * @returns {Object} { isValid, errors } - errors start with "Consulta inválida"
+ */
+function validateSearchFilters(filters) {
+  if (!filters.q || !isAdvancedQuery(filters.q)) {
+    return { isValid: true, errors: [] };
+  }
+
+  const parsed = parseQuery(filters.q);
+
+  return parsed.isValid
+    ? { isValid: true, errors: [] }
+    : { isValid: false, errors: [`Consulta inválida: ${parsed.errors.join('; ')}`] };
+}
+
+/**
+ * Build MongoDB search query from filters
+ * All filters use AND logic (all must match)
+ * Only approved references are returned
+ *
+ * @param {Object} filters - Search filters
+ * @returns {Object} MongoDB query
+ * @throws {Error} When "q" uses the advanced syntax incorrectly (message in Portuguese)
+ */
+function buildSearchQuery(filters) {
+  const query = {
+    status: Status.APPROVED  // Only show approved references
+  };
+
+  const conditions = [];
+
+  // Google-like search: weighted text index "search_text" (see create-indexes.js)
+  // Supports "quoted phrases" and -negated terms; results are ranked by textScore.
+  // Text indexes (v3) already ignore case and diacritics
+  // Queries with field:value prefixes, AND/OR/NOT or parentheses go through
+  // the query parser instead ($text cannot be nested in $or/$nor)
+  if (filters.q && filters.q.trim().length > 0) {
+    if (isAdvancedQuery(filters.q)) {
+      const parsed = parseQuery(filters.q);
+
+      if (!parsed.isValid) {
+        throw new Error(`Consulta inválida: ${parsed.errors.join('; ')}`);
+      }
+
+      conditions.push(compileQuery(parsed.tree));
+    } else {
+      query.$text = { $search: filters.q.trim() };
+    }
+  }
+
+  // Structured filters match the normalized "busca" shadow field
+  // (lowercase, no accents), so "acai" finds "açaí" and "sao paulo" finds "São Paulo"
+
+  // Community type filter (exact match)
+  if (filters.tipo && filters.tipo.trim().length > 0) {
+    conditions.push({ 'busca.tipos': normalizeText(filters.tipo) });
+  }
+
+  // Community name filter (partial match)
+  if (filters.comunidade && filters.comunidade.trim().length > 0) {
+    conditions.push({
+      'busca.comunidades': { $regex: sanitizeRegex(normalizeText(filters.comunidade)) }
+    });
+  }
+
+  // Plant name filter (scientific OR vernacular, partial match)
+  if (filters.planta && filters.planta.trim().length > 0) {
+    conditions.push({
+      'busca.plantas': { $regex: sanitizeRegex(normalizeText(filters.planta)) }
+    });
+  }
+
+  // State filter (exact match)
+  if (filters.estado && filters.estado.trim().length > 0) {
+    conditions.push({ 'busca.estados': normalizeText(filters.estado) });
+  }
+
+  // Municipality filter (exact match)
+  if (filters.municipio && filters.municipio.trim().length > 0) {
+    conditions.push({ 'busca.municipios': normalizeText(filters.municipio) });
+  }
+
+  // Use type filter (exact match)
+  if (filters.uso && filters.uso.trim().length > 0) {
+    conditions.push({ 'busca.usos': normalizeText(filters.uso) });
+  }
+
+  // Publication year filter (exact match)
+  const ano = parseInt(filters.ano);
+  if (!isNaN(ano)) {
+    conditions.push({ ano });
+  }
+
+  // Publication year range (either bound may be omitted; reversed bounds are swapped)
+  const anoDe = parseInt(filters.anoDe);
+  const anoAte = parseInt(filters.anoAte);
+  if (!isNaN(anoDe) || !isNaN(anoAte)) {
+    const bounds = [anoDe, anoAte];
+    if (!isNaN(anoDe) && !isNaN(anoAte) && anoDe > anoAte) bounds.reverse();
+
+    const range = {};
+    if (!isNaN(bounds[0])) range.$gte = bounds[0];
+    if (!isNaN(bounds[1])) range.$lte = bounds[1];
+    conditions.push({ ano: range });
+  }
+
+  // Author filter (ABNT names, whatever the typed order)
+  if (filters.autor && filters.autor.trim().length > 0) {
+    conditions.push(buildAuthorCondition(filters.autor));
+  }
+
+  // Only references with a DOI
+  if (filters.comDoi) {
+    conditions.push({ DOI: { $nin: [null, ''] } });
+  }
+
+  // Combine all conditions with AND
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  return query;
+}
+
+/**
+ * Get the MongoDB sort for the selected order
+ * @param {Object} filters - Search filters (uses "ordem")
+ * @returns {Object|null} Sort specification, or null for relevance
+ */
+function buildSearchSort(filters = {}) {
+  const option = SortOptions[filters.ordem] || SortOptions.relevancia;
+  return option.sort;
+}
+
+/**
+ * Build the author condition: authors are stored in ABNT format
+ * ("HANAZAKI, N."), while visitors type "Natalia Hanazaki", "Hanazaki N",
+ * "hanazaki" or "Hanazaki, Natália"
+ * Each surname candidate must match a word of the ABNT surname; when a
+ * given name is typed, its initial must start the part after the comma
+ *
+ * @param {string} autor - Author name as typed
+ * @returns {Object} MongoDB condition on busca.autores
+ */
+function buildAuthorCondition(autor) {
+  const normalized = normalizeText(autor);
+  const words = text => text.split(/[^\p{L}\p{N}-]+/u).filter(Boolean);
+  const candidates = [];
+
+  if (normalized.includes(',')) {
+    // Already ABNT-like: "surname, given names"
+    const [surname, given] = normalized.split(',');
+    words(surname).forEach(word => candidates.push({ surname: word, given: words(given)[0] }));
+  } else {
+    const parts = words(normalized);
+
+    if (parts.length === 1) {
+      candidates.push({ surname: parts[0] });
+    } else if (parts.length > 1) {
+      // "Natalia Hanazaki" (surname last) or "Hanazaki N" (surname first)
+      candidates.push({ surname: parts[parts.length - 1], given: parts[0] });
+      candidates.push({ surname: parts[0], given: parts[1] });
+    }
+  }
+
+  const patterns = candidates
+    .filter(candidate => candidate.surname.length >= 2)
+    .map(candidate => {
+      const surname = `^[^,]*(^|[\\s-])${sanitizeRegex(candidate.surname)}(?=[\\s,-]|$)`;
+      return candidate.given ? `${surname}[^,]*,\\s*${sanitizeRegex(candidate.given[0])}` : surname;
+    });
+
+  // Nothing usable (e.g. only initials): fall back to a partial match
+  if (patterns.length === 0) {
+    return { 'busca.autores': { $regex: sanitizeRegex(normalized) } };
+  }
+
+  return { $or: [...new Set(patterns)].map(pattern => ({ 'busca.autores': { $regex: pattern } })) };
+}
+
+/**
+ * Build the "busca" shadow field: normalized copies of the filterable
+ * values (see normalizeText), deduplicated per reference
+ * Maintained by insertReference and updateReferenceById in database.js
+ *
+ * @param {Object} reference - Reference data with comunidades
+ * @returns {Object} { titulo, resumo, autores, comunidades, tipos, estados, municipios, plantas, usos,
+ *   texto, totalComunidades, totalPlantas }
+ */
+function buildSearchFields(reference) {
+  const comunidades = reference.comunidades || [];
+  const plantas = comunidades.flatMap(comunidade => comunidade.plantas || []);
+  const unique = values => [...new Set(values.map(normalizeText).filter(Boolean))];
+
+  const fields = {
+    titulo: normalizeText(reference.titulo),
+    resumo: normalizeText(reference.resumo),
+    autores: unique(reference.autores || []),
+    comunidades: unique(comunidades.map(comunidade => comunidade.nome)),
+    tipos: unique(comunidades.map(comunidade => comunidade.tipo)),
+    estados: unique(comunidades.map(comunidade => comunidade.estado)),
+    municipios: unique(comunidades.map(comunidade => comunidade.municipio)),
+    plantas: unique(plantas.flatMap(planta => [
+      ...(planta.nomeCientifico || []),
+      ...(planta.nomeVernacular || [])
+    ])),
+    usos: unique(plantas.flatMap(planta => planta.tipoUso || []))
+  };
+
+  return {
+    ...fields,
+    // Everything above in one string for unprefixed advanced-query terms;
+    // newlines keep a phrase from matching across two values
+    texto: Object.values(fields).flat().filter(Boolean).join('\n'),
+    // Counts for the "most documented" sort orders
+    totalComunidades: comunidades.length,
+    totalPlantas: plantas.length
+  };
+}
+
+/**
+ * Build a URL query string from search filters
+ * Empty filters are omitted; overrides replace or add parameters
+ * (pass null to drop one)
+ *
+ * @param {Object} filters - Current search filters
+ * @param {Object} overrides - Parameters to set, e.g. { page: 2 }
+ * @returns {string} Query string without leading "?"
+ */
+function toQueryString(filters = {}, overrides = {}) {
+  const params = new URLSearchParams();
+  const merged = { ...filters, ...overrides };
+
+  Object.keys(merged).forEach(key => {
+    const value = merged[key];
+    if (value !== null && value !== undefined && String(value).length > 0) {
+      params.append(key, value);
+    }
+  });
+
+  return params.toString();
+}
+
+/**
+ * Extract the terms of a free-text query for highlighting
+ * Negated terms (-palavra, NOT palavra) and operators are skipped,
+ * field prefixes (planta:) are removed; quoted phrases are split into words
+ * @param {string} q - Free-text query
+ * @returns {Array<string>} Normalized terms
+ */
+function getSearchTerms(q) {
+  if (!q || typeof q !== 'string') return [];
+
+  const tokens = q.split(/[\s()]+/).filter(token => token.length > 0);
+  const negation = ['NOT', 'NÃO', 'NAO'];
+  const operators = [...negation, 'AND', 'E', 'OR', 'OU'];
+
+  return tokens
+    .filter((token, idx) =>
+      !token.startsWith('-') && !operators.includes(token) && !negation.includes(tokens[idx - 1])
+    )
+    .map(token => token.replace(/^[^:"]+:/, ''))
+    .flatMap(token => normalizeText(token).split(/[^\p{L}\p{N}]+/u))
+    .filter(term => term.length >= 2);
+}
+
+/**
+ * HTML-escape text and wrap words matching the search terms in <mark>
+ * Matching ignores case and accents and tolerates plural/stem variations
+ * (a word matches when it starts with a term or a term starts with it)
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Terms from getSearchTerms
+ * @returns {string} Safe HTML
+ */
+function highlight(text, terms = []) {
+  if (text === null || text === undefined) return '';
+  if (!terms || terms.length === 0) return escapeHtml(String(text));
+
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, idx) => {
+      // Odd indexes are the captured words
+      if (idx % 2 === 0) return escapeHtml(part);
+
+      const word = normalizeText(part);
+      const matches = terms.some(term =>
+        word.startsWith(term) || (word.length >= 3 && term.startsWith(word))
+      );
+
+      return matches ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+    })
+    .join('');
+}
+
+/**
+ * Coerce a query string value to a trimmed string
+ * Repeated parameters (?estado=a&estado=b) keep the first value
+ * @param {any} value - Raw query value
+ * @returns {string} String value or empty string
+ */
+function asString(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (typeof value !== 'string') return '';
+  return value.trim();
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SortOptions,
+  parseSearchParams,
+  validateSearchFilters,
+  buildSearchQuery,
+  buildSearchSort,
+  buildSearchFields,
+  toQueryString,
+  getSearchTerms,
+  highlight,
+  normalizeText,
+  sanitizeRegex
+};
@@ -0,0 +1,537 @@
+/**
+ * Spreadsheet Service
+ *
+ * Import of plant lists from CSV or XLSX files into a community form.
+ * The file is read in the browser and posted as a data URL; rows are
+ * mapped to plant fields through a column mapping (guessed from the
+ * header row, adjustable by the user) and every mapped row is checked
+ * with validatePlant before it is added to the form
+ *
+ * XLSX files are read with zlib only (ZIP central directory + sheet XML),
+ * taking the first worksheet of the workbook
+ *
+ * Used by the acquisition and curation community forms
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { validatePlant } = require('./validation');
+const { parseCommaSeparated, formatVernacularName } = require('./referenceInput');
+const { normalizeText } = require('../shared/utils/sanitize');
+
+/**
+ * Maximum number of data rows in one spreadsheet
+ */
+const SPREADSHEET_ROW_LIMIT = 500;
+
+/**
+ * Maximum uncompressed size of one XLSX part (bytes)
+ */
+const XLSX_PART_LIMIT = 50 * 1024 * 1024;
+
+/**
+ * Highest XLSX row number and column position read
+ * Cell references place values directly in the rows array, so a single
+ * far-away cell (r="5000000") would otherwise allocate millions of slots
+ */
+const XLSX_ROW_LIMIT = 10000;
+const XLSX_COLUMN_LIMIT = 256;
+
+/**
+ * Plant fields that can receive a spreadsheet column
+ * Each entry has the form label and the normalized header names
+ * recognized when guessing the mapping
+ */
+const PlantColumns = {
+  nomeCientifico: {
+    label: 'Nome científico',
+    headers: ['nome cientifico', 'nomes cientificos', 'nomecientifico', 'especie', 'especies', 'taxon', 'scientific name', 'scientificname']
+  },
+  nomeVernacular: {
+    label: 'Nome vernacular',
+    headers: ['nome vernacular', 'nomes vernaculares', 'nomevernacular', 'nome popular', 'nomes populares', 'nome comum', 'nomes comuns', 'vernacular', 'vernacular name']
+  },
+  tipoUso: {
+    label: 'Tipo de uso',
+    headers: ['tipo de uso', 'tipos de uso', 'tipouso', 'uso', 'usos', 'categoria de uso', 'categorias de uso']
+  }
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * The delimiter (comma, semicolon or tab) is detected from the first line;
+ * quoted cells may contain delimiters, line breaks and doubled quotes
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows in file order (row i is line i + 1)
+ */
+function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const delimiter = [';', '\t', ',']
+    .reduce((best, candidate) => (
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Decode XML entities
+ * @param {string} text - XML text content
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+  return String(text || '').replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return named[entity.toLowerCase()];
+
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Read the value of an XML attribute
+ * @param {string} attributes - Attribute text of a tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+function xmlAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Concatenate the text runs (<t>) of a string item, ignoring phonetic runs
+ * @param {string} xml - Content of an <si> or <is> element
+ * @returns {string} Text
+ */
+function xmlText(xml) {
+  const runs = String(xml || '')
+    .replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+    .match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+
+  return runs.map(run => decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$/g, ''))).join('');
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * @param {Buffer} buffer - ZIP file
+ * @returns {Map<string, Object>} Entry name -> { method, compressedSize, localOffset }
+ */
+function readZipEntries(buffer) {
+  let end = -1;
+
+  // End of central directory record (22 bytes + up to 64 KB of comment)
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new Error('o arquivo não é um XLSX válido');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('o arquivo XLSX está corrompido');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Read one ZIP entry as UTF-8 text
+ * @param {Buffer} buffer - ZIP file
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {string} Entry content
+ */
+function readZipEntry(buffer, entry) {
+  const { localOffset } = entry;
+
+  if (buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+    throw new Error('o arquivo XLSX está corrompido');
+  }
+
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data.toString('utf8');
+  if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: XLSX_PART_LIMIT }).toString('utf8');
+
+  throw new Error(`método de compressão ${entry.method} não suportado`);
+}
+
+/**
+ * Resolve the path of the first worksheet of a workbook
+ * @param {string|null} workbookXml - xl/workbook.xml
+ * @param {string|null} relsXml - xl/_rels/workbook.xml.rels
+ * @returns {string} Worksheet path inside the archive
+ */
+function firstSheetPath(workbookXml, relsXml) {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  const sheet = /<sheet\b([^>]*)>/.exec(workbookXml || '');
+  const relationId = sheet ? xmlAttribute(sheet[1], 'r:id') : null;
+
+  if (!relationId || !relsXml) return fallback;
+
+  const relation = (relsXml.match(/<Relationship\b[^>]*>/g) || [])
+    .find(tag => xmlAttribute(tag.slice(13), 'Id') === relationId);
+  const target = relation ? xmlAttribute(relation.slice(13), 'Target') : null;
+
+  if (!target) return fallback;
+
+  return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+}
+
+/**
+ * Convert a cell reference column (A, B, ..., AA) to a 0-based index
+ * @param {string} reference - Cell reference such as "C12"
+ * @returns {number} Column index, or -1 when the reference has no column
+ */
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference || '');
+  if (!letters) return -1;
+
+  return letters[0].toUpperCase().split('')
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Convert a 0-based column index to its letters (0 -> A)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnLetter(index) {
+  let letters = '';
+
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+
+  return letters;
+}
+
+/**
+ * Parse the first worksheet of an XLSX file into rows of cells
+ * @param {Buffer} buffer - XLSX file
+ * @returns {Array<Array<string>>} Rows by position (row i is line i + 1)
+ */
+function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const read = name => (entries.has(name) ? readZipEntry(buffer, entries.get(name)) : null);
+
+  const sheetXml = read(firstSheetPath(read('xl/workbook.xml'), read('xl/_rels/workbook.xml.rels')));
+  if (!sheetXml) {
+    throw new Error('a pasta de trabalho não contém nenhuma planilha');
+  }
+
+  const sharedStrings = (read('xl/sharedStrings.xml') || '')
+    .match(/<si\b[^>]*>[\s\S]*?<\/si>/g) || [];
+
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+    const rowNumber = parseInt(xmlAttribute(rowMatch[1], 'r')) || rows.length + 1;
+    const cells = [];
+
+    if (rowNumber < 1 || rowNumber > XLSX_ROW_LIMIT) {
+      throw new Error(`a linha ${rowNumber} está fora do limite de ${XLSX_ROW_LIMIT} linhas`);
+    }
+    let cellMatch;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const [, attributes, content = ''] = cellMatch;
+      const type = xmlAttribute(attributes, 't');
+      const value = /<v>([\s\S]*?)<\/v>/.exec(content);
+      const position = columnIndex(xmlAttribute(attributes, 'r'));
+
+      if (position >= XLSX_COLUMN_LIMIT || cells.length >= XLSX_COLUMN_LIMIT) {
+        throw new Error(`a linha ${rowNumber} tem colunas além da coluna ${columnLetter(XLSX_COLUMN_LIMIT - 1)}`);
+      }
+
+      let text;
+      if (type === 's') {
+        text = xmlText(sharedStrings[parseInt(value && value[1])]);
+      } else if (type === 'inlineStr') {
+        text = xmlText(content);
+      } else {
+        text = value ? decodeXml(value[1]) : '';
+      }
+
+      cells[position === -1 ? cells.length : position] = text;
+    }
+
+    rows[rowNumber - 1] = Array.from(cells, cell => cell || '');
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Decode the bytes of a text file
+ * UTF-8 is expected; files saved by spreadsheet programs in Windows-1252
+ * (common for CSV exported in Portuguese) fall back to Latin-1
+ * @param {Buffer} buffer - File content
+ * @returns {string} Text
+ */
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+/**
+ * Read an uploaded spreadsheet
+ * Empty rows are skipped; the first non-empty row is the header
+ * @param {string} fileName - Original file name (the extension selects the format)
+ * @param {string} content - File content as a data URL or base64
+ * @returns {Object} { isValid, errors, nomeArquivo, cabecalho: string[],
+ *   linhas: [{ linha, celulas: string[] }] } - linha is the spreadsheet line number
+ */
+function readSpreadsheet(fileName, content) {
+  const nomeArquivo = path.basename(String(fileName || ''));
+  const extension = path.extname(nomeArquivo).toLowerCase();
+  const invalid = message => ({ isValid: false, errors: [message], nomeArquivo, cabecalho: [], linhas: [] });
+
+  if (!content || typeof content !== 'string') {
+    return invalid('Nenhum arquivo foi enviado');
+  }
+
+  if (!['.csv', '.txt', '.xlsx'].includes(extension)) {
+    return invalid(`Formato de arquivo não suportado (${extension || 'sem extensão'}). Envie uma planilha .csv ou .xlsx`);
+  }
+
+  const buffer = Buffer.from(content.replace(/^data:[^,]*,/, ''), 'base64');
+  let table;
+
+  try {
+    table = extension === '.xlsx' ? parseXlsx(buffer) : parseCsv(decodeText(buffer));
+  } catch (error) {
+    return invalid(`Não foi possível ler a planilha: ${error.message}`);
+  }
+
+  const rows = table
+    .map((cells, idx) => ({ linha: idx + 1, celulas: cells.map(cell => String(cell).trim()) }))
+    .filter(row => row.celulas.some(cell => cell.length > 0));
+
+  if (rows.length === 0) {
+    return invalid('A planilha está vazia');
+  }
+
+  const [header, ...data] = rows;
+
+  if (data.length === 0) {
+    return invalid('A planilha contém apenas a linha de cabeçalho');
+  }
+
+  if (data.length > SPREADSHEET_ROW_LIMIT) {
+    return invalid(`A planilha contém ${data.length} linhas; o máximo por importação é ${SPREADSHEET_ROW_LIMIT}`);
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    nomeArquivo,
+    cabecalho: header.celulas,
+    linhas: data.map(row => ({ linha: row.linha, celulas: header.celulas.map((_, i) => row.celulas[i] || '') }))
+  };
+}
+
+/**
+ * Restore a spreadsheet already read (sent back by the preview form)
+ * @param {string} state - JSON of the result of readSpreadsheet
+ * @returns {Object} Same shape as readSpreadsheet
+ */
+function restoreSpreadsheet(state) {
+  const invalid = { isValid: false, errors: ['Os dados da planilha são inválidos; envie o arquivo novamente'] };
+  let sheet;
+
+  try {
+    sheet = JSON.parse(state);
+  } catch (error) {
+    return invalid;
+  }
+
+  const isText = value => typeof value === 'string';
+  const isValid = sheet && Array.isArray(sheet.cabecalho) && sheet.cabecalho.every(isText) &&
+    Array.isArray(sheet.linhas) && sheet.linhas.length <= SPREADSHEET_ROW_LIMIT &&
+    sheet.linhas.every(row => row && Number.isInteger(row.linha) &&
+      Array.isArray(row.celulas) && row.celulas.every(isText));
+
+  if (!isValid) return invalid;
+
+  return {
+    isValid: true,
+    errors: [],
+    nomeArquivo: isText(sheet.nomeArquivo) ? sheet.nomeArquivo : '',
+    cabecalho: sheet.cabecalho,
+    linhas: sheet.linhas
+  };
+}
+
+/**
+ * Guess which column feeds each plant field from the header names
+ * @param {Array<string>} header - Header row
+ * @returns {Object} Field -> column index (-1 when not mapped)
+ */
+function guessColumnMapping(header) {
+  const normalized = header.map(name => normalizeText(name).replace(/[_-]+/g, ' ').trim());
+  const used = new Set();
+
+  return Object.fromEntries(Object.entries(PlantColumns).map(([field, column]) => {
+    const index = normalized.findIndex((name, idx) => !used.has(idx) && column.headers.includes(name));
+    if (index !== -1) used.add(index);
+    return [field, index];
+  }));
+}
+
+/**
+ * Read the column mapping chosen in the preview form
+ * @param {Object} input - Request body (one column index per plant field)
+ * @param {number} columnCount - Number of columns in the spreadsheet
+ * @returns {Object} Field -> column index (-1 when not mapped)
+ */
+function readColumnMapping(input, columnCount) {
+  return Object.fromEntries(Object.keys(PlantColumns).map(field => {
+    const index = parseInt(input[field]);
+    return [field, index >= 0 && index < columnCount ? index : -1];
+  }));
+}
+
+/**
+ * Map spreadsheet rows to plants and validate each one
+ * Cells may list several values separated by commas or semicolons
+ * @param {Array<Object>} rows - Rows from readSpreadsheet ({ linha, celulas })
+ * @param {Object} mapping - Field -> column index
+ * @param {number} communityIndex - Community index (0-based, as in the form)
+ * @returns {Array<Object>} [{ linha, planta, isValid, errors }]
+ */
+function mapPlantRows(rows, mapping, communityIndex) {
+  return rows.map(row => {
+    const cell = field => (mapping[field] >= 0 ? (row.celulas[mapping[field]] || '').replace(/;/g, ',') : '');
+
+    const planta = {
+      nomeCientifico: parseCommaSeparated(cell('nomeCientifico')),
+      nomeVernacular: parseCommaSeparated(cell('nomeVernacular')).map(formatVernacularName),
+      tipoUso: parseCommaSeparated(cell('tipoUso'))
+    };
+
+    // validatePlant prefixes "Comunidade X, Planta Y: "; the preview lists rows by line
+    const errors = validatePlant(planta, communityIndex + 1, row.linha)
+      .map(error => error.replace(/^[^:]*: /, ''));
+
+    return { linha: row.linha, planta, isValid: errors.length === 0, errors };
+  });
+}
+
+/**
+ * Build the preview of a plant import
+ * The first request sends the file (arquivo + nomeArquivo) and gets a guessed
+ * mapping; later requests send back the parsed sheet (planilha) with the
+ * column chosen for each plant field
+ * @param {Object} input - Request body
+ * @param {number} communityIndex - Community index (0-based)
+ * @returns {Object} { isValid, errors, planilha, colunas: [{ index, label }],
+ *   mapping, campos, linhas, validas }
+ */
+function previewPlantImport(input, communityIndex) {
+  const sheet = input.planilha
+    ? restoreSpreadsheet(input.planilha)
+    : readSpreadsheet(input.nomeArquivo, input.arquivo);
+
+  if (!sheet.isValid) {
+    return { isValid: false, errors: sheet.errors };
+  }
+
+  const mapping = input.planilha
+    ? readColumnMapping(input, sheet.cabecalho.length)
+    : guessColumnMapping(sheet.cabecalho);
+
+  const linhas = mapPlantRows(sheet.linhas, mapping, communityIndex);
+
+  return {
+    isValid: true,
+    errors: [],
+    planilha: JSON.stringify({ nomeArquivo: sheet.nomeArquivo, cabecalho: sheet.cabecalho, linhas: sheet.linhas }),
+    nomeArquivo: sheet.nomeArquivo,
+    colunas: sheet.cabecalho.map((name, index) => ({ index, label: name || `Coluna ${columnLetter(index)}` })),
+    mapping,
+    campos: Object.entries(PlantColumns).map(([field, column]) => ({ field, label: column.label })),
+    linhas,
+    validas: linhas.filter(row => row.isValid).length
+  };
+}
+
+module.exports = {
+  SPREADSHEET_ROW_LIMIT,
+  PlantColumns,
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+  guessColumnMapping,
+  mapPlantRows,
+  previewPlantImport
+};
@@ -17,11 +17,39 @@ const config = {
     presentation: parseInt(process.env.PORT_PRESENTATION) || 3003,
   },
 
+  // Public base URL of the presentation context (used for permanent links)
+  // Falls back to http://localhost:<presentation port> when not set
+  publicUrl: (process.env.PUBLIC_URL || '').replace(/\/+$/, ''),
+
   // Environment
   nodeEnv: process.env.NODE_ENV || 'development',
   isDevelopment: (process.env.NODE_ENV || 'development') === 'development',
   isProduction: process.env.NODE_ENV === 'production',
 
+  // Dataset metadata for published exports (Darwin Core Archive, feeds)
+  dataset: {
+    title: process.env.DATASET_TITLE || 'etnoDB - Base de Dados Etnobotânica',
+    publisher: process.env.DATASET_PUBLISHER || 'etnoDB',
+    contactEmail: process.env.DATASET_CONTACT_EMAIL || '',
+    license: process.env.DATASET_LICENSE || 'http://creativecommons.org/licenses/by-nc/4.0/legalcode',
+  },
+
+  // OAI-PMH provider (/oai)
+  // Repository identifier used in record identifiers (oai:<identifier>:<id>)
+  // Falls back to the host name of the public base URL
+  oai: {
+    repositoryIdentifier: process.env.OAI_REPOSITORY_IDENTIFIER || '',
+  },
+
+  // DOI metadata lookup in the data entry form
+  // resolverUrl: Crossref-style API (GET <url>/<doi>) or a file:// directory
+  // of JSON fixtures; mailto identifies the client to Crossref
+  doi: {
+    resolverUrl: process.env.DOI_RESOLVER_URL || 'https://api.crossref.org/works',
+    timeout: parseInt(process.env.DOI_RESOLVER_TIMEOUT) || 8000,
+    mailto: process.env.DOI_RESOLVER_MAILTO || process.env.DATASET_CONTACT_EMAIL || '',
+  },
+
   // Database Configuration
   database: {
     name: 'etnodb',
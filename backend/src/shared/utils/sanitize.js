@@ -24,6 +24,58 @@ function escapeHtml(str) {
   return str.replace(/[&<>"'/]/g, (char) => htmlEscapeMap[char]);
 }
 
+/**
+ * Escape XML special characters for text and attribute values
+ * @param {any} value - Input value (non-strings are converted)
+ * @returns {string} XML-escaped string
+ */
+function escapeXml(value) {
+  if (value === null || value === undefined) return '';
+
+  const xmlEscapeMap = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&apos;'
+  };
+
+  return String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[^\t\n\r\u0020-\uFFFF]/g, '')
+    .replace(/[&<>"']/g, (char) => xmlEscapeMap[char]);
+}
+
+/**
+ * Normalize text for comparisons: lowercase without accents and with
+ * collapsed whitespace (" Açaí  Branco" → "acai branco")
+ * @param {string} str - Input string
+ * @returns {string} Normalized string
+ */
+function normalizeText(str) {
+  if (!str || typeof str !== 'string') return '';
+  return str
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sanitize regex input to prevent regex injection
+ * Escapes special regex characters
+ *
+ * @param {string} str - Input string
+ * @returns {string} Sanitized string
+ */
+function sanitizeRegex(str) {
+  if (!str || typeof str !== 'string') return '';
+
+  // Escape special regex characters
+  return str.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Limit string length
  * @param {string} str - Input string
@@ -144,6 +196,9 @@ function sanitizeFilename(filename) {
 
 module.exports = {
   escapeHtml,
+  escapeXml,
+  normalizeText,
+  sanitizeRegex,
   limitLength,
   trimWhitespace,
   sanitizeString,
@@ -0,0 +1,29 @@
+/**
+ * Stream Utilities
+ *
+ * Helpers for writers that stream large exports to HTTP responses or files
+ */
+
+/**
+ * Wait until a writable stream can take more data or has been closed
+ * Both listeners are removed as soon as either event fires, so writers can
+ * call this on every backpressure wait without piling up listeners
+ * @param {Writable} output - Destination stream
+ * @returns {Promise<void>} Resolves on 'drain' or 'close'
+ */
+function waitForDrain(output) {
+  return new Promise(resolve => {
+    const done = () => {
+      output.removeListener('drain', done);
+      output.removeListener('close', done);
+      resolve();
+    };
+
+    output.on('drain', done);
+    output.on('close', done);
+  });
+}
+
+module.exports = {
+  waitForDrain
+};
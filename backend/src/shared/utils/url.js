@@ -0,0 +1,32 @@
+/**
+ * URL Utilities
+ *
+ * Builds absolute URLs for permanent links to public pages
+ */
+
+const config = require('../config');
+
+/**
+ * Get the public base URL (no trailing slash)
+ * Uses PUBLIC_URL when configured, otherwise the local presentation port.
+ * The request Host header is never used: it is set by the client, and these
+ * links end up in exports, feeds and OAI-PMH records
+ * @returns {string} Base URL, e.g. https://etnodb.example.org
+ */
+function getBaseUrl() {
+  return config.publicUrl || `http://localhost:${config.ports.presentation}`;
+}
+
+/**
+ * Build the permanent URL of an approved reference
+ * @param {string|ObjectId} id - Reference ID
+ * @returns {string} Absolute reference URL
+ */
+function getReferenceUrl(id) {
+  return `${getBaseUrl()}/reference/${id}`;
+}
+
+module.exports = {
+  getBaseUrl,
+  getReferenceUrl
+};
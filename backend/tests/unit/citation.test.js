@@ -0,0 +1,145 @@
+/**
+ * Citation formatting and export (services/citation.js)
+ */
+
+const { PassThrough } = require('stream');
+const citation = require('../../src/services/citation');
+
+const reference = {
+  _id: '64b000000000000000000001',
+  titulo: 'Diversity of plant uses in two Caiçara communities',
+  autores: ['HANAZAKI, N.', 'LEITÃO-FILHO, H. F.', 'SILVA DA COSTA, J.'],
+  ano: 2000,
+  DOI: '10.1023/A:1008965325519',
+  resumo: 'Caiçaras são habitantes nativos\nda costa atlântica.'
+};
+
+describe('parseAuthorName', () => {
+  test('splits ABNT names and title-cases uppercase surnames', () => {
+    expect(citation.parseAuthorName('LEITÃO-FILHO, H. F.')).toEqual({ family: 'Leitão-Filho', given: 'H. F.' });
+    expect(citation.parseAuthorName('SILVA DA COSTA, J.')).toEqual({ family: 'Silva da Costa', given: 'J.' });
+    expect(citation.parseAuthorName('van der Berg, A.')).toEqual({ family: 'van der Berg', given: 'A.' });
+    expect(citation.parseAuthorName('')).toEqual({ family: '', given: '' });
+  });
+});
+
+describe('formatABNT', () => {
+  test('authors, title, year and DOI end with periods', () => {
+    expect(citation.formatABNT(reference)).toBe(
+      'HANAZAKI, N.; LEITÃO-FILHO, H. F.; SILVA DA COSTA, J. ' +
+      'Diversity of plant uses in two Caiçara communities. 2000. DOI: 10.1023/A:1008965325519.'
+    );
+  });
+});
+
+describe('toBibTeX', () => {
+  test('builds an article entry with a key from author, year and title word', () => {
+    expect(citation.toBibTeX(reference, { url: 'https://etnodb.example.org/reference/1' })).toBe([
+      '@article{hanazaki2000diversity,',
+      '  title = {Diversity of plant uses in two Caiçara communities},',
+      '  author = {Hanazaki, N. and Leitão-Filho, H. F. and Silva da Costa, J.},',
+      '  year = {2000},',
+      '  doi = {10.1023/A:1008965325519},',
+      '  abstract = {Caiçaras são habitantes nativos da costa atlântica.},',
+      '  url = {https://etnodb.example.org/reference/1}',
+      '}',
+      ''
+    ].join('\n'));
+  });
+
+  test('escapes LaTeX special characters, backslashes included', () => {
+    const entry = citation.toBibTeX({ titulo: 'A\\B {x} 50% & $5 #1 a_b', autores: [], ano: 2000 });
+
+    expect(entry).toContain('title = {A\\textbackslash{}B \\{x\\} 50\\% \\& \\$5 \\#1 a\\_b}');
+  });
+
+  test('omits empty fields', () => {
+    expect(citation.toBibTeX({ titulo: 'Título', autores: [], ano: 2001 }, { key: 'k' }))
+      .toBe('@article{k,\n  title = {Título},\n  year = {2001}\n}\n');
+  });
+});
+
+describe('toRIS', () => {
+  test('writes one tag per line with CRLF and single-line values', () => {
+    expect(citation.toRIS(reference).split('\r\n')).toEqual([
+      'TY  - JOUR',
+      'TI  - Diversity of plant uses in two Caiçara communities',
+      'AU  - Hanazaki, N.',
+      'AU  - Leitão-Filho, H. F.',
+      'AU  - Silva da Costa, J.',
+      'PY  - 2000',
+      'DO  - 10.1023/A:1008965325519',
+      'AB  - Caiçaras são habitantes nativos da costa atlântica.',
+      'ER  - ',
+      ''
+    ]);
+  });
+});
+
+describe('toCSL', () => {
+  test('builds an article-journal item', () => {
+    expect(citation.toCSL(reference, { url: 'https://etnodb.example.org/reference/1' })).toEqual({
+      id: '64b000000000000000000001',
+      type: 'article-journal',
+      title: 'Diversity of plant uses in two Caiçara communities',
+      author: [
+        { family: 'Hanazaki', given: 'N.' },
+        { family: 'Leitão-Filho', given: 'H. F.' },
+        { family: 'Silva da Costa', given: 'J.' }
+      ],
+      issued: { 'date-parts': [[2000]] },
+      DOI: '10.1023/A:1008965325519',
+      abstract: reference.resumo,
+      URL: 'https://etnodb.example.org/reference/1'
+    });
+  });
+});
+
+describe('formatCitation', () => {
+  test('CSL-JSON is an array of one item', () => {
+    expect(JSON.parse(citation.formatCitation(reference, 'csl'))).toHaveLength(1);
+  });
+
+  test('unknown formats throw', () => {
+    expect(() => citation.formatCitation(reference, 'endnote')).toThrow('Formato de citação não suportado: endnote');
+  });
+});
+
+describe('writeCitations', () => {
+  /**
+   * Run writeCitations over an array and collect the output
+   * @param {Array<Object>} references - References
+   * @param {string} format - bibtex, ris or csl
+   * @returns {Promise<Object>} { count, text }
+   */
+  async function write(references, format) {
+    const output = new PassThrough();
+    let text = '';
+    output.on('data', chunk => { text += chunk; });
+
+    const count = await citation.writeCitations(references, output, format, ref => `https://x/${ref._id}`);
+    return { count, text };
+  }
+
+  test('BibTeX keys are unique across the export', async () => {
+    const { count, text } = await write([reference, { ...reference, _id: '2' }, { ...reference, _id: '3' }], 'bibtex');
+
+    expect(count).toBe(3);
+    expect(text.match(/@article\{[^,]+/g)).toEqual([
+      '@article{hanazaki2000diversity',
+      '@article{hanazaki2000diversitya',
+      '@article{hanazaki2000diversityb'
+    ]);
+  });
+
+  test('CSL-JSON export is one valid JSON array', async () => {
+    const { text } = await write([reference, { ...reference, _id: '2' }], 'csl');
+    const items = JSON.parse(text);
+
+    expect(items.map(item => item.URL)).toEqual([`https://x/${reference._id}`, 'https://x/2']);
+  });
+
+  test('an empty CSL-JSON export is still valid JSON', async () => {
+    expect(JSON.parse((await write([], 'csl')).text)).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Parsing of pasted citations (services/citationParser.js)
+ */
+
+const { CitationInputFormats, normalizeDoi, parseCitation } = require('../../src/services/citationParser');
+const { formatAuthorABNT } = require('../../src/services/referenceInput');
+
+const DOI = '10.1023/A:1008965325519';
+
+describe('normalizeDoi', () => {
+  test('accepts bare DOIs, doi: prefixes and doi.org URLs', () => {
+    expect(normalizeDoi(DOI)).toBe(DOI);
+    expect(normalizeDoi(`doi: ${DOI}`)).toBe(DOI);
+    expect(normalizeDoi(`https://dx.doi.org/${DOI}.`)).toBe(DOI);
+  });
+
+  test('returns an empty string without a DOI', () => {
+    expect(normalizeDoi('sem doi')).toBe('');
+    expect(normalizeDoi(undefined)).toBe('');
+  });
+});
+
+describe('parseCitation', () => {
+  test('BibTeX entry with LaTeX accents and nested braces', () => {
+    const result = parseCitation(`@article{hanazaki2000,
+      title = {Diversity of plant uses in two {Cai\\c{c}ara} communities},
+      author = {Hanazaki, N. and Leit{\\~a}o-Filho, H. F.},
+      year = {2000},
+      doi = {${DOI}},
+      abstract = {Resumo {aqui}}
+    }`);
+
+    expect(result).toEqual({
+      isValid: true,
+      errors: [],
+      formato: CitationInputFormats.BIBTEX,
+      reference: {
+        titulo: 'Diversity of plant uses in two Caiçara communities',
+        autores: ['N. Hanazaki', 'H. F. Leitão-Filho'],
+        ano: 2000,
+        DOI,
+        resumo: 'Resumo aqui'
+      },
+      encontrados: ['título', 'autores', 'ano', 'DOI', 'resumo']
+    });
+  });
+
+  test('RIS record', () => {
+    const result = parseCitation([
+      'TY  - JOUR',
+      'TI  - Plantas medicinais',
+      'AU  - Silva, João',
+      'AU  - Souza, Maria',
+      'PY  - 2010///',
+      'DO  - https://doi.org/10.1590/S0102-33062000000300006',
+      'ER  - '
+    ].join('\r\n'));
+
+    expect(result.formato).toBe(CitationInputFormats.RIS);
+    expect(result.reference).toEqual({
+      titulo: 'Plantas medicinais',
+      autores: ['João Silva', 'Maria Souza'],
+      ano: 2010,
+      DOI: '10.1590/S0102-33062000000300006',
+      resumo: ''
+    });
+    expect(result.encontrados).toEqual(['título', 'autores', 'ano', 'DOI']);
+  });
+
+  test('ABNT reference with compound surnames and initials', () => {
+    const result = parseCitation(
+      'HANAZAKI, N.; TAMASHIRO, J. Y.; LEITÃO-FILHO, H. F.; BEGOSSI, A. Diversity of plant uses in two ' +
+      'Caiçara communities from the Atlantic Forest coast, Brazil. Biodiversity and Conservation, v. 9, ' +
+      `p. 597-615, 2000. DOI: ${DOI}.`
+    );
+
+    expect(result.formato).toBe(CitationInputFormats.ABNT);
+    expect(result.reference).toEqual({
+      titulo: 'Diversity of plant uses in two Caiçara communities from the Atlantic Forest coast, Brazil',
+      autores: ['N. HANAZAKI', 'J. Y. TAMASHIRO', 'H. F. LEITÃO-FILHO', 'A. BEGOSSI'],
+      ano: 2000,
+      DOI,
+      resumo: ''
+    });
+  });
+
+  test('APA reference', () => {
+    const result = parseCitation(
+      'Hanazaki, N., Tamashiro, J. Y., & Begossi, A. (2000). Diversity of plant uses in two Caiçara ' +
+      `communities. Biodiversity and Conservation, 9, 597–615. https://doi.org/${DOI}`
+    );
+
+    expect(result.formato).toBe(CitationInputFormats.APA);
+    expect(result.reference).toEqual({
+      titulo: 'Diversity of plant uses in two Caiçara communities',
+      autores: ['N. Hanazaki', 'J. Y. Tamashiro', 'A. Begossi'],
+      ano: 2000,
+      DOI,
+      resumo: ''
+    });
+  });
+
+  test('parsed authors become ABNT names on submission', () => {
+    const { reference } = parseCitation(`Hanazaki, N., & Begossi, A. (2000). Título do artigo. https://doi.org/${DOI}`);
+
+    expect(reference.autores.map(formatAuthorABNT)).toEqual(['HANAZAKI, N.', 'BEGOSSI, A.']);
+  });
+
+  test.each([
+    ['', 'Cole uma citação para preencher o formulário'],
+    ['x'.repeat(20001), 'A citação deve ter no máximo 20000 caracteres'],
+    ['apenas texto sem nada', 'Não foi possível reconhecer a citação. Use BibTeX, RIS ou uma referência no formato ABNT ou APA']
+  ])('rejects %#', (text, message) => {
+    const result = parseCitation(text);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([message]);
+    expect(result.reference).toEqual({ titulo: '', autores: [], ano: 0, DOI: '', resumo: '' });
+    expect(result.encontrados).toEqual([]);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Darwin Core Archive mapping and writer (services/darwinCore.js)
+ * The database service is mocked; references are plain objects
+ */
+
+jest.mock('../../src/services/database', () => ({
+  streamReferences: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const database = require('../../src/services/database');
+const {
+  CORE,
+  EXTENSIONS,
+  mapReference,
+  buildMetaXml,
+  buildEmlXml,
+  writeDarwinCoreArchive
+} = require('../../src/services/darwinCore');
+
+const reference = {
+  _id: '64b000000000000000000001',
+  titulo: 'Plantas da Praia do Sono',
+  autores: ['SILVA, J.'],
+  ano: 2010,
+  DOI: '10.1000/xyz',
+  comunidades: [
+    {
+      nome: 'Praia do Sono',
+      tipo: 'Caiçaras',
+      estado: 'Rio de Janeiro',
+      municipio: 'Paraty',
+      local: 'Vila\tda praia',
+      plantas: [
+        { nomeCientifico: ['Euterpe edulis', 'Euterpe oleracea'], nomeVernacular: ['juçara', 'palmito'], tipoUso: ['alimentar', 'construção'] },
+        { nomeCientifico: [], nomeVernacular: ['erva'], tipoUso: [] }
+      ]
+    },
+    { nome: 'Vazia', plantas: [] }
+  ]
+};
+
+/**
+ * Cursor over an array, as returned by streamReferences
+ * @param {Array<Object>} references - Documents
+ * @returns {Object} Async iterable with close()
+ */
+function cursorOf(references) {
+  return {
+    close: jest.fn().mockResolvedValue(),
+    async* [Symbol.asyncIterator]() {
+      yield* references;
+    }
+  };
+}
+
+/**
+ * Read every entry of a ZIP archive through its central directory
+ * @param {Buffer} buffer - ZIP file
+ * @returns {Object} Entry name -> text content
+ */
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const files = {};
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return files;
+}
+
+describe('mapReference', () => {
+  const rows = mapReference(reference, 'https://etnodb.example.org');
+
+  test('one occurrence per plant of each community', () => {
+    expect(rows.occurrences).toHaveLength(2);
+    expect(rows.occurrences.every(row => row.length === CORE.terms.length)).toBe(true);
+
+    expect(rows.occurrences[0]).toEqual([
+      'etnodb:64b000000000000000000001:0:0',
+      'HumanObservation',
+      'Euterpe edulis',
+      'juçara | palmito',
+      'Plantae',
+      'Brasil',
+      'BR',
+      'Rio de Janeiro',
+      'Paraty',
+      'Vila\tda praia',
+      'Planta citada pela comunidade Praia do Sono - Caiçaras',
+      'Outros nomes científicos citados: Euterpe oleracea',
+      'https://doi.org/10.1000/xyz | SILVA, J. Plantas da Praia do Sono. 2010. DOI: 10.1000/xyz.',
+      'SILVA, J. Plantas da Praia do Sono. 2010. DOI: 10.1000/xyz.',
+      'https://etnodb.example.org/reference/64b000000000000000000001',
+      'pt'
+    ]);
+    expect(rows.occurrences[1].slice(0, 4)).toEqual(['etnodb:64b000000000000000000001:0:1', 'HumanObservation', '', 'erva']);
+  });
+
+  test('use types and the community type become measurements', () => {
+    expect(rows.measurements).toEqual([
+      ['etnodb:64b000000000000000000001:0:0', 'etnodb:64b000000000000000000001:0:0:uso:0', 'tipo de uso', 'alimentar', 'Uso relatado pela comunidade'],
+      ['etnodb:64b000000000000000000001:0:0', 'etnodb:64b000000000000000000001:0:0:uso:1', 'tipo de uso', 'construção', 'Uso relatado pela comunidade'],
+      ['etnodb:64b000000000000000000001:0:0', 'etnodb:64b000000000000000000001:0:0:tipoComunidade', 'tipo de comunidade', 'Caiçaras', 'Decreto nº 11.481/2023'],
+      ['etnodb:64b000000000000000000001:0:1', 'etnodb:64b000000000000000000001:0:1:tipoComunidade', 'tipo de comunidade', 'Caiçaras', 'Decreto nº 11.481/2023']
+    ]);
+  });
+
+  test('each plant is related to its community', () => {
+    expect(rows.relationships[0]).toEqual([
+      'etnodb:64b000000000000000000001:0:0',
+      'etnodb:64b000000000000000000001:0:0:comunidade',
+      'etnodb:64b000000000000000000001:0',
+      'usada por',
+      'Praia do Sono - Caiçaras, Paraty, Rio de Janeiro'
+    ]);
+  });
+
+  test('without a base URL or DOI those columns stay empty', () => {
+    const [occurrence] = mapReference({ ...reference, DOI: '' }).occurrences;
+
+    expect(occurrence[12]).toBe('SILVA, J. Plantas da Praia do Sono. 2010.');
+    expect(occurrence[14]).toBe('');
+  });
+});
+
+describe('buildMetaXml / buildEmlXml', () => {
+  test('meta.xml indexes every term of the core and the extensions', () => {
+    const xml = buildMetaXml();
+
+    [CORE, ...EXTENSIONS].forEach(spec => {
+      expect(xml).toContain(`<location>${spec.file}</location>`);
+      expect(xml).toContain(`rowType="${spec.rowType}"`);
+      expect(xml).toContain(`<field index="${spec.terms.length - 1}" term="${spec.terms[spec.terms.length - 1]}"/>`);
+    });
+    expect(xml.match(/<coreid index="0"\/>/g)).toHaveLength(EXTENSIONS.length);
+  });
+
+  test('eml.xml carries the publication date and escapes the base URL', () => {
+    const xml = buildEmlXml({ baseUrl: 'https://x.org/?a=1&b=2', pubDate: new Date('2025-03-04T12:00:00Z') });
+
+    expect(xml).toContain('packageId="etnodb-2025-03-04"');
+    expect(xml).toContain('<pubDate>2025-03-04</pubDate>');
+    expect(xml.match(/<onlineUrl>https:\/\/x\.org\/\?a=1&amp;b=2<\/onlineUrl>/g)).toHaveLength(3);
+  });
+});
+
+describe('writeDarwinCoreArchive', () => {
+  test('writes meta.xml, eml.xml and one tab-separated file per row type', async () => {
+    const cursors = [];
+    database.streamReferences.mockImplementation(() => {
+      const cursor = cursorOf([reference]);
+      cursors.push(cursor);
+      return cursor;
+    });
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const size = await writeDarwinCoreArchive({ status: 'approved' }, output, { baseUrl: 'https://etnodb.example.org' });
+    const archive = Buffer.concat(chunks);
+    const files = unzip(archive);
+
+    expect(size).toBe(archive.length);
+    expect(Object.keys(files)).toEqual(['meta.xml', 'eml.xml', CORE.file, ...EXTENSIONS.map(ext => ext.file)]);
+
+    const occurrences = files[CORE.file].split('\n');
+    expect(occurrences[0].split('\t')).toEqual(CORE.terms.map(term => term.split('/').pop()));
+    expect(occurrences[1].split('\t')[9]).toBe('Vila da praia');
+    expect(occurrences).toHaveLength(4);
+
+    expect(files['measurementorfact.txt'].trim().split('\n')).toHaveLength(5);
+    expect(files['resourcerelationship.txt'].trim().split('\n')).toHaveLength(3);
+
+    expect(database.streamReferences).toHaveBeenCalledTimes(3);
+    expect(database.streamReferences).toHaveBeenCalledWith({ status: 'approved' });
+    cursors.forEach(cursor => expect(cursor.close).toHaveBeenCalled());
+  });
+
+  test('resolves only after a file destination has been flushed', async () => {
+    database.streamReferences.mockImplementation(() => cursorOf([reference]));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'etnodb-dwca-'));
+    const file = path.join(dir, 'dwca.zip');
+
+    try {
+      const size = await writeDarwinCoreArchive({ status: 'approved' }, fs.createWriteStream(file));
+      const archive = fs.readFileSync(file);
+
+      expect(archive.length).toBe(size);
+      expect(unzip(archive)[CORE.file].split('\n')).toHaveLength(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Duplicate reference detection (services/duplicates.js)
+ * The database service is mocked; candidates are plain objects
+ */
+
+jest.mock('../../src/services/database', () => ({
+  findReferences: jest.fn(),
+  findReferencesByDoi: jest.fn(),
+  streamReferences: jest.fn()
+}));
+
+const database = require('../../src/services/database');
+const {
+  similarity,
+  compareReferences,
+  findPossibleDuplicates,
+  scanDuplicates
+} = require('../../src/services/duplicates');
+
+const hanazaki = {
+  _id: 'a',
+  titulo: 'Diversity of plant uses in two Caiçara communities from the Atlantic Forest coast, Brazil',
+  autores: ['HANAZAKI, N.', 'BEGOSSI, A.'],
+  ano: 2000,
+  DOI: '',
+  status: 'approved'
+};
+
+describe('similarity', () => {
+  test('is 1 for equal strings and 0 when nothing is shared', () => {
+    expect(similarity('caicara', 'caicara')).toBe(1);
+    expect(similarity('abc', 'xyz')).toBe(0);
+  });
+
+  test('empty and one-character strings are not similar', () => {
+    expect(similarity('', 'abc')).toBe(0);
+    expect(similarity('a', 'ab')).toBe(0);
+  });
+
+  test('is the Dice coefficient of character bigrams', () => {
+    // night: ni ig gh ht / nacht: na ac ch ht -> 2 * 1 / 8
+    expect(similarity('night', 'nacht')).toBe(0.25);
+    expect(similarity('nacht', 'night')).toBe(0.25);
+  });
+
+  test('counts repeated bigrams once per occurrence', () => {
+    // aaaa: aa aa aa / aa: aa -> 2 * 1 / 4
+    expect(similarity('aaaa', 'aa')).toBe(0.5);
+  });
+});
+
+describe('compareReferences', () => {
+  test('the same DOI is always a duplicate, in any form', () => {
+    const result = compareReferences(
+      { ...hanazaki, DOI: 'https://doi.org/10.1023/A:1008965325519' },
+      { titulo: 'Outro título', autores: [], ano: 1990, DOI: '10.1023/a:1008965325519' }
+    );
+
+    expect(result).toEqual({ isDuplicate: true, score: 1, motivos: ['Mesmo DOI (10.1023/A:1008965325519)'] });
+  });
+
+  test('different DOIs are never duplicates', () => {
+    expect(compareReferences(
+      { ...hanazaki, DOI: '10.1023/A:1' },
+      { ...hanazaki, DOI: '10.1023/A:2' }
+    ).isDuplicate).toBe(false);
+  });
+
+  test('similar titles ignore case, accents and punctuation', () => {
+    const result = compareReferences(hanazaki, {
+      titulo: 'DIVERSITY OF PLANT USES IN TWO CAICARA COMMUNITIES FROM THE ATLANTIC FOREST COAST BRAZIL.',
+      autores: ['HANAZAKI, N.'],
+      ano: 2001,
+      DOI: '10.1023/A:1008965325519'
+    });
+
+    expect(result).toEqual({
+      isDuplicate: true,
+      score: 0.95,
+      motivos: ['Título 100% semelhante', 'Mesmo primeiro autor (HANAZAKI, N.)', 'Anos próximos (2000 e 2001)']
+    });
+  });
+
+  test('less similar titles need the same first author', () => {
+    const title = 'Diversity of plant uses in Caiçara communities of the Atlantic Forest coast';
+    const sameAuthor = compareReferences(hanazaki, { titulo: title, autores: ['Natalia Hanazaki'], ano: 2000 });
+    const otherAuthor = compareReferences(hanazaki, { titulo: title, autores: ['SILVA, J.'], ano: 2000 });
+
+    expect(sameAuthor.isDuplicate).toBe(true);
+    expect(sameAuthor.motivos).toEqual([expect.stringMatching(/^Título \d+% semelhante$/), 'Mesmo primeiro autor (HANAZAKI, N.)', 'Mesmo ano']);
+    expect(otherAuthor.isDuplicate).toBe(false);
+  });
+
+  test('years more than one apart are not duplicates', () => {
+    expect(compareReferences(hanazaki, { ...hanazaki, ano: 2002 }).isDuplicate).toBe(false);
+  });
+
+  test('different titles are not duplicates', () => {
+    expect(compareReferences(hanazaki, { ...hanazaki, titulo: 'Medicinal plants of Bahia' })).toEqual({
+      isDuplicate: false,
+      score: 0,
+      motivos: []
+    });
+  });
+});
+
+describe('findPossibleDuplicates', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  test('merges DOI and year candidates, skipping the reference itself', async () => {
+    const byDoi = { _id: 'b', titulo: 'Título diferente', autores: [], ano: 1999, DOI: '10.1023/A:1', status: 'pending' };
+    const similar = { ...hanazaki, _id: 'c', ano: 2001, status: 'rejected' };
+
+    database.findReferencesByDoi.mockResolvedValue([byDoi]);
+    database.findReferences.mockResolvedValue([hanazaki, byDoi, similar, { ...hanazaki, _id: 'd', titulo: 'Outro estudo' }]);
+
+    const duplicates = await findPossibleDuplicates({ ...hanazaki, DOI: 'doi:10.1023/A:1' }, { excludeId: 'a' });
+
+    expect(database.findReferencesByDoi).toHaveBeenCalledWith('10.1023/A:1', { excludeId: 'a' });
+    expect(database.findReferences).toHaveBeenCalledWith(
+      { ano: { $gte: 1999, $lte: 2001 } },
+      { projection: { titulo: 1, autores: 1, ano: 1, DOI: 1, status: 1 } }
+    );
+    expect(duplicates.map(duplicate => [duplicate._id, duplicate.score])).toEqual([['b', 1], ['c', 0.95]]);
+  });
+
+  test('without a year only the DOI is checked', async () => {
+    database.findReferencesByDoi.mockResolvedValue([]);
+
+    expect(await findPossibleDuplicates({ titulo: 'Título', ano: 0, DOI: '' })).toEqual([]);
+    expect(database.findReferences).not.toHaveBeenCalled();
+  });
+
+  test('database errors are rethrown in Portuguese', async () => {
+    database.findReferencesByDoi.mockRejectedValue(new Error('sem conexão'));
+    database.findReferences.mockResolvedValue([]);
+
+    await expect(findPossibleDuplicates(hanazaki)).rejects.toThrow('Falha ao buscar possíveis duplicatas: sem conexão');
+  });
+});
+
+describe('scanDuplicates', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  test('joins pairs into clusters', async () => {
+    const references = [
+      { ...hanazaki, _id: '1', ano: 1990, DOI: '10.1000/abc' },
+      { ...hanazaki, _id: '2' },
+      { ...hanazaki, _id: '3', ano: 2001, titulo: `${hanazaki.titulo}.` },
+      { _id: '4', titulo: 'Medicinal plants of Bahia', autores: ['SILVA, J.'], ano: 2001, DOI: '' },
+      { _id: '5', titulo: 'Fishing and plant use', autores: ['SOUZA, M.'], ano: 2010, DOI: 'https://doi.org/10.1000/ABC' }
+    ];
+
+    database.streamReferences.mockReturnValue(references);
+
+    const clusters = await scanDuplicates();
+
+    expect(database.streamReferences).toHaveBeenCalledWith({}, expect.objectContaining({ sort: { ano: 1, _id: 1 } }));
+    expect(clusters.map(cluster => cluster.referencias.map(reference => reference._id))).toEqual([['1', '5'], ['2', '3']]);
+    expect(clusters[0].pares).toEqual([{ a: '1', b: '5', score: 1, motivos: ['Mesmo DOI (10.1000/abc)'] }]);
+    expect(clusters[1].pares).toHaveLength(1);
+  });
+
+  test('an empty collection has no clusters', async () => {
+    database.streamReferences.mockReturnValue([]);
+
+    expect(await scanDuplicates()).toEqual([]);
+  });
+});
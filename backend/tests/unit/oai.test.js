@@ -0,0 +1,144 @@
+/**
+ * OAI-PMH argument validation and harvest helpers (services/oai.js)
+ */
+
+const oai = require('../../src/services/oai');
+
+/**
+ * Error codes of a validation result
+ * @param {Object} result - { errors: [{ code }] }
+ * @returns {Array<string>} Codes
+ */
+const codes = result => result.errors.map(error => error.code);
+
+describe('validateArguments', () => {
+  test('accepts the arguments of each verb', () => {
+    expect(oai.validateArguments({ verb: 'Identify' })).toEqual({ isValid: true, errors: [], verb: 'Identify' });
+    expect(oai.validateArguments({
+      verb: 'ListRecords', metadataPrefix: 'oai_dc', from: '2025-01-01', set: 'estado:bahia'
+    }).isValid).toBe(true);
+    expect(oai.validateArguments({ verb: 'GetRecord', identifier: 'oai:x:1', metadataPrefix: 'oai_dc' }).isValid).toBe(true);
+    expect(oai.validateArguments({ verb: 'ListIdentifiers', resumptionToken: 'abc' }).isValid).toBe(true);
+  });
+
+  test('missing, repeated and unknown verbs are badVerb', () => {
+    const missing = oai.validateArguments({});
+    expect(codes(missing)).toEqual(['badVerb']);
+    expect(missing.errors[0].message).toBe('O argumento verb é obrigatório');
+    expect(missing.verb).toBeNull();
+
+    expect(oai.validateArguments({ verb: ['Identify', 'Identify'] }).errors[0].message)
+      .toBe('O argumento verb foi repetido');
+    expect(oai.validateArguments({ verb: 'Harvest' }).errors[0].message).toBe('Verbo desconhecido: Harvest');
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])(
+    'prototype key %s is an unknown verb',
+    verb => {
+      const result = oai.validateArguments({ verb });
+
+      expect(result.isValid).toBe(false);
+      expect(codes(result)).toEqual(['badVerb']);
+    }
+  );
+
+  test('arguments not allowed, repeated or missing are badArgument', () => {
+    expect(oai.validateArguments({ verb: 'Identify', set: 'estado' }).errors[0].message)
+      .toBe('Argumento não permitido em Identify: set');
+    expect(oai.validateArguments({ verb: 'ListRecords', metadataPrefix: ['oai_dc', 'oai_dc'] }).errors[0].message)
+      .toBe('O argumento metadataPrefix foi repetido');
+    expect(oai.validateArguments({ verb: 'GetRecord', identifier: 'oai:x:1' }).errors[0].message)
+      .toBe('O argumento metadataPrefix é obrigatório em GetRecord');
+  });
+
+  test('resumptionToken is exclusive', () => {
+    const result = oai.validateArguments({ verb: 'ListRecords', resumptionToken: 'abc', metadataPrefix: 'oai_dc' });
+
+    expect(codes(result)).toEqual(['badArgument']);
+    expect(result.errors[0].message).toBe('resumptionToken não pode ser combinado com outros argumentos');
+  });
+});
+
+describe('validateHarvest', () => {
+  test('accepts dates of the same granularity in order', () => {
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', from: '2025-01-01', until: '2025-01-31' }).isValid).toBe(true);
+    expect(oai.validateHarvest({
+      metadataPrefix: 'oai_dc', from: '2025-01-01T00:00:00Z', until: '2025-01-01T12:00:00Z'
+    }).isValid).toBe(true);
+  });
+
+  test('unknown formats, including prototype keys, cannot be disseminated', () => {
+    expect(codes(oai.validateHarvest({ metadataPrefix: 'marc21' }))).toEqual(['cannotDisseminateFormat']);
+    expect(codes(oai.validateHarvest({ metadataPrefix: 'toString' }))).toEqual(['cannotDisseminateFormat']);
+  });
+
+  test('invalid, mixed-granularity and reversed dates are badArgument', () => {
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', from: '2020-02-31' }).errors[0].message)
+      .toBe('Data inválida em from: 2020-02-31');
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', until: '2025-1-1' }).errors[0].message)
+      .toBe('Data inválida em until: 2025-1-1');
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', from: '2025-01-01', until: '2025-01-02T00:00:00Z' })
+      .errors[0].message).toBe('from e until devem ter a mesma granularidade');
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', from: '2025-02-01', until: '2025-01-01' })
+      .errors[0].message).toBe('from é posterior a until');
+  });
+
+  test('sets must start with a known type', () => {
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', set: 'tipo:caicaras' }).isValid).toBe(true);
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', set: 'bioma:mata' }).errors[0].message)
+      .toBe('Conjunto desconhecido: bioma:mata');
+    expect(oai.validateHarvest({ metadataPrefix: 'oai_dc', set: 'constructor' }).isValid).toBe(false);
+  });
+});
+
+describe('parseDatestamp', () => {
+  test('until with day granularity covers the whole day', () => {
+    const until = oai.parseDatestamp('2025-01-31', true);
+
+    expect(until.granularity).toBe('day');
+    expect(until.bound.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('seconds granularity', () => {
+    const from = oai.parseDatestamp('2025-01-31T10:20:30Z');
+
+    expect(from.granularity).toBe('seconds');
+    expect(from.bound.toISOString()).toBe('2025-01-31T10:20:30.000Z');
+  });
+});
+
+describe('buildHarvestQuery', () => {
+  test('dates become an updatedAt range over approved references', () => {
+    expect(oai.buildHarvestQuery({ from: '2025-01-01', until: '2025-01-31' })).toEqual({
+      status: 'approved',
+      updatedAt: { $gte: new Date('2025-01-01T00:00:00Z'), $lt: new Date('2025-02-01T00:00:00Z') }
+    });
+  });
+
+  test('a set matches every spelling that shares its setSpec', () => {
+    expect(oai.buildHarvestQuery({ set: 'estado:sao-paulo' }, ['São Paulo', 'Sao Paulo', 'Bahia'])).toEqual({
+      status: 'approved',
+      'comunidades.estado': { $in: ['São Paulo', 'Sao Paulo'] }
+    });
+    expect(oai.buildHarvestQuery({ set: 'tipo' })).toEqual({
+      status: 'approved',
+      'comunidades.tipo': { $nin: [null, ''] }
+    });
+  });
+});
+
+describe('resumption tokens', () => {
+  test('round-trip the harvest state', () => {
+    const state = {
+      metadataPrefix: 'oai_dc', from: '2025-01-01', until: undefined, set: 'estado:bahia',
+      after: 'cursor', cursor: 100, total: 250
+    };
+
+    expect(oai.decodeResumptionToken(oai.encodeResumptionToken(state))).toEqual(state);
+  });
+
+  test('malformed tokens decode to null', () => {
+    expect(oai.decodeResumptionToken('not a token')).toBeNull();
+    expect(oai.decodeResumptionToken(Buffer.from('{"p":1}').toString('base64url'))).toBeNull();
+  });
+});
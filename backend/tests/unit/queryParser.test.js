@@ -0,0 +1,135 @@
+/**
+ * Advanced search syntax (services/queryParser.js) and its use by
+ * buildSearchQuery / validateSearchFilters (services/search.js)
+ */
+
+const { isAdvancedQuery, parseQuery, compileQuery } = require('../../src/services/queryParser');
+const { validateSearchFilters, buildSearchQuery } = require('../../src/services/search');
+
+/**
+ * Parse a query that must be valid and compile it
+ * @param {string} q - Query text
+ * @returns {Object} MongoDB condition
+ */
+function compile(q) {
+  const parsed = parseQuery(q);
+  expect(parsed.errors).toEqual([]);
+  return compileQuery(parsed.tree);
+}
+
+describe('isAdvancedQuery', () => {
+  test('plain words keep the ranked text search', () => {
+    expect(isAdvancedQuery('plantas medicinais')).toBe(false);
+    expect(isAdvancedQuery('e ou não')).toBe(false);
+    expect(isAdvancedQuery('')).toBe(false);
+    expect(isAdvancedQuery(undefined)).toBe(false);
+  });
+
+  test('field prefixes, uppercase operators and parentheses are advanced', () => {
+    expect(isAdvancedQuery('planta:açaí')).toBe(true);
+    expect(isAdvancedQuery('-planta:açaí')).toBe(true);
+    expect(isAdvancedQuery('medicinal AND pesca')).toBe(true);
+    expect(isAdvancedQuery('medicinal OU pesca')).toBe(true);
+    expect(isAdvancedQuery('(medicinal)')).toBe(true);
+  });
+
+  test('unknown prefixes such as URLs are not advanced', () => {
+    expect(isAdvancedQuery('http://exemplo.org')).toBe(false);
+  });
+});
+
+describe('parseQuery / compileQuery', () => {
+  test('field terms match the normalized busca field', () => {
+    expect(compile('planta:Açaí')).toEqual({ 'busca.plantas': { $regex: 'acai' } });
+    expect(compile('estado:Pará')).toEqual({ 'busca.estados': 'para' });
+  });
+
+  test('unprefixed terms match busca.texto with one regex', () => {
+    expect(compile('(Caiçara)')).toEqual({ 'busca.texto': { $regex: 'caicara' } });
+  });
+
+  test('regex characters in values are escaped', () => {
+    expect(compile('titulo:a.b*')).toEqual({ 'busca.titulo': { $regex: 'a\\.b\\*' } });
+  });
+
+  test('quoted values keep their spaces', () => {
+    expect(compile('comunidade:"Praia do Sono"')).toEqual({ 'busca.comunidades': { $regex: 'praia do sono' } });
+  });
+
+  test('NOT binds tighter than AND, AND tighter than OR', () => {
+    expect(compile('uso:medicinal OR uso:alimentar NOT estado:Bahia')).toEqual({
+      $or: [
+        { 'busca.usos': { $regex: 'medicinal' } },
+        {
+          $and: [
+            { 'busca.usos': { $regex: 'alimentar' } },
+            { $nor: [{ 'busca.estados': 'bahia' }] }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('Portuguese operators, -term and adjacent terms', () => {
+    expect(compile('uso:medicinal E -tipo:caiçaras')).toEqual({
+      $and: [
+        { 'busca.usos': { $regex: 'medicinal' } },
+        { $nor: [{ 'busca.tipos': { $regex: 'caicaras' } }] }
+      ]
+    });
+    expect(compile('planta:açaí estado:Pará')).toEqual({
+      $and: [{ 'busca.plantas': { $regex: 'acai' } }, { 'busca.estados': 'para' }]
+    });
+  });
+
+  test('year values and ranges', () => {
+    expect(compile('ano:2000')).toEqual({ ano: 2000 });
+    expect(compile('ano:2000..2010')).toEqual({ ano: { $gte: 2000, $lte: 2010 } });
+    expect(compile('ano:..2010')).toEqual({ ano: { $lte: 2010 } });
+    expect(compile('ano:2000..')).toEqual({ ano: { $gte: 2000 } });
+  });
+
+  test.each([
+    ['', 'consulta vazia'],
+    ['planta:', 'falta o valor do campo "planta" na posição 1'],
+    ['especie:açaí', 'campo desconhecido "especie"'],
+    ['"açaí', 'aspas abertas na posição 1 não foram fechadas'],
+    ['(planta:açaí', 'parêntese aberto na posição 1 não foi fechado'],
+    ['planta:açaí)', 'parêntese ")" sem abertura na posição 12'],
+    ['()', 'parênteses vazios na posição 1'],
+    ['AND planta:açaí', 'falta um termo antes de "AND" na posição 1'],
+    ['planta:açaí OR', 'falta um termo depois de "OR" na posição 13'],
+    ['NOT', 'falta um termo depois de "NOT" na posição 1'],
+    ['ano:abc', 'ano inválido "abc"'],
+    ['ano:2010..2000', 'intervalo de anos invertido "2010..2000"']
+  ])('rejects %j', (q, message) => {
+    const parsed = parseQuery(q);
+
+    expect(parsed.isValid).toBe(false);
+    expect(parsed.tree).toBeNull();
+    expect(parsed.errors[0]).toContain(message);
+  });
+});
+
+describe('validateSearchFilters / buildSearchQuery', () => {
+  test('plain queries use the text index', () => {
+    expect(validateSearchFilters({ q: 'açaí fruto' })).toEqual({ isValid: true, errors: [] });
+    expect(validateSearchFilters({})).toEqual({ isValid: true, errors: [] });
+    expect(buildSearchQuery({ q: ' açaí ' })).toEqual({ status: 'approved', $text: { $search: 'açaí' } });
+  });
+
+  test('advanced queries are combined with the approved status', () => {
+    expect(buildSearchQuery({ q: 'planta:açaí' })).toEqual({
+      status: 'approved',
+      $and: [{ 'busca.plantas': { $regex: 'acai' } }]
+    });
+  });
+
+  test('malformed queries are reported instead of thrown', () => {
+    const validation = validateSearchFilters({ q: 'planta:(' });
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual(['Consulta inválida: falta o valor do campo "planta" na posição 1']);
+    expect(() => buildSearchQuery({ q: 'planta:(' })).toThrow('Consulta inválida');
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Curation status changes (services/database.js updateReferenceStatus)
+ * The MongoDB connection is mocked; only the update document is checked
+ */
+
+jest.mock('../../src/shared/database', () => {
+  const collection = { findOneAndUpdate: jest.fn() };
+  return { getCollection: () => collection };
+});
+
+const { updateReferenceStatus } = require('../../src/services/database');
+const collection = require('../../src/shared/database').getCollection();
+
+const ID = '64b000000000000000000001';
+
+beforeEach(() => {
+  collection.findOneAndUpdate.mockReset().mockResolvedValue({ _id: ID });
+});
+
+describe('updateReferenceStatus', () => {
+  test('approval sets approvedAt only if it is missing or later', async () => {
+    await updateReferenceStatus(ID, 'approved');
+
+    const [, update] = collection.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toEqual({ status: 'approved', updatedAt: expect.any(Date) });
+    expect(update.$min).toEqual({ approvedAt: update.$set.updatedAt });
+  });
+
+  test('rejection leaves approvedAt alone', async () => {
+    await updateReferenceStatus(ID, 'rejected');
+
+    const [, update] = collection.findOneAndUpdate.mock.calls[0];
+    expect(update).toEqual({ $set: { status: 'rejected', updatedAt: expect.any(Date) } });
+  });
+
+  test('unknown statuses are refused before any update', async () => {
+    await expect(updateReferenceStatus(ID, 'published')).rejects.toThrow('Falha ao atualizar status: Status inválido');
+    expect(collection.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
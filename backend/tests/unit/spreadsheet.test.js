@@ -0,0 +1,217 @@
+/**
+ * CSV/XLSX plant list import (services/spreadsheet.js)
+ */
+
+const zlib = require('zlib');
+const {
+  SPREADSHEET_ROW_LIMIT,
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+  guessColumnMapping,
+  previewPlantImport
+} = require('../../src/services/spreadsheet');
+
+/**
+ * Build a minimal ZIP archive (deflated entries, no CRC: the reader does not check it)
+ * @param {Object} files - Path -> text content
+ * @returns {Buffer} ZIP file
+ */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build an XLSX file whose first worksheet holds the given sheetData rows
+ * @param {string} rows - <row> elements
+ * @param {Array<string>} sharedStrings - Shared string table
+ * @returns {Buffer} XLSX file
+ */
+function xlsx(rows, sharedStrings = []) {
+  return zip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Plantas" sheetId="1" r:id="rId7"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<Relationships><Relationship Id="rId7" Target="worksheets/plantas.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${sharedStrings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`,
+    'xl/worksheets/plantas.xml': `<worksheet><sheetData>${rows}</sheetData></worksheet>`
+  });
+}
+
+/**
+ * Encode file content as the data URL posted by the browser
+ * @param {Buffer|string} content - File content
+ * @returns {string} Data URL
+ */
+const dataUrl = content => `data:application/octet-stream;base64,${Buffer.from(content).toString('base64')}`;
+
+describe('parseCsv', () => {
+  test('detects the delimiter from the first line', () => {
+    expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('a byte order mark is dropped; quoted cells keep delimiters, line breaks and doubled quotes', () => {
+    expect(parseCsv('\uFEFFa;b\n"x;1";"y ""q"""\r\n"multi\nline";z')).toEqual([
+      ['a', 'b'],
+      ['x;1', 'y "q"'],
+      ['multi\nline', 'z']
+    ]);
+  });
+});
+
+describe('parseXlsx', () => {
+  test('reads shared, inline and numeric cells by position', () => {
+    const rows = parseXlsx(xlsx(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Uso</t></is></c></row>' +
+      '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3"><v>42</v></c><c r="C3" t="inlineStr"><is><t>A &amp; B</t></is></c></row>',
+      ['Espécie', 'Euterpe oleracea']
+    ));
+
+    expect(rows).toEqual([
+      ['Espécie', '', 'Uso'],
+      [],
+      ['Euterpe oleracea', '42', 'A & B']
+    ]);
+  });
+
+  test('rejects rows beyond the row limit without allocating them', () => {
+    expect(() => parseXlsx(xlsx('<row r="5000000"><c r="A5000000"><v>1</v></c></row>')))
+      .toThrow('a linha 5000000 está fora do limite de 10000 linhas');
+  });
+
+  test('rejects cells beyond the column limit', () => {
+    expect(() => parseXlsx(xlsx('<row r="1"><c r="XFD1"><v>1</v></c></row>')))
+      .toThrow('a linha 1 tem colunas além da coluna IV');
+  });
+
+  test('rejects files that are not ZIP archives', () => {
+    expect(() => parseXlsx(Buffer.from('not a zip file at all, just some text'))).toThrow('o arquivo não é um XLSX válido');
+  });
+});
+
+describe('readSpreadsheet', () => {
+  test('reads an XLSX upload, skipping blank rows and keeping line numbers', () => {
+    const file = xlsx(
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>Espécie</t></is></c></row>' +
+      '<row r="4"><c r="A4" t="inlineStr"><is><t> Euterpe oleracea </t></is></c></row>'
+    );
+
+    expect(readSpreadsheet('plantas.xlsx', dataUrl(file))).toEqual({
+      isValid: true,
+      errors: [],
+      nomeArquivo: 'plantas.xlsx',
+      cabecalho: ['Espécie'],
+      linhas: [{ linha: 4, celulas: ['Euterpe oleracea'] }]
+    });
+  });
+
+  test('reads Windows-1252 CSV files', () => {
+    const file = Buffer.from('Espécie;Nome popular\nEuterpe oleracea;açaí\n', 'latin1');
+
+    expect(readSpreadsheet('plantas.csv', dataUrl(file)).linhas).toEqual([
+      { linha: 2, celulas: ['Euterpe oleracea', 'açaí'] }
+    ]);
+  });
+
+  test.each([
+    ['plantas.csv', '', 'Nenhum arquivo foi enviado'],
+    ['plantas.pdf', dataUrl('x'), 'Formato de arquivo não suportado (.pdf). Envie uma planilha .csv ou .xlsx'],
+    ['plantas.csv', dataUrl('\n\n'), 'A planilha está vazia'],
+    ['plantas.csv', dataUrl('Espécie\n'), 'A planilha contém apenas a linha de cabeçalho'],
+    [
+      'plantas.csv',
+      dataUrl(`Espécie\n${'Euterpe oleracea\n'.repeat(SPREADSHEET_ROW_LIMIT + 1)}`),
+      `A planilha contém ${SPREADSHEET_ROW_LIMIT + 1} linhas; o máximo por importação é ${SPREADSHEET_ROW_LIMIT}`
+    ],
+    ['plantas.xlsx', dataUrl('texto'), 'Não foi possível ler a planilha: o arquivo não é um XLSX válido']
+  ])('rejects %s (%#)', (fileName, content, message) => {
+    const result = readSpreadsheet(fileName, content);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([message]);
+  });
+});
+
+describe('guessColumnMapping', () => {
+  test('matches header aliases ignoring case, accents and separators', () => {
+    expect(guessColumnMapping(['Nome_Científico', 'Tipo de Uso', 'Observações'])).toEqual({
+      nomeCientifico: 0,
+      nomeVernacular: -1,
+      tipoUso: 1
+    });
+  });
+});
+
+describe('previewPlantImport', () => {
+  const csv = 'Espécie;Nome popular;Uso\nEuterpe oleracea;açaí, juçara;alimentar\n;;medicinal\n';
+
+  test('maps and validates each row', () => {
+    const preview = previewPlantImport({ nomeArquivo: 'plantas.csv', arquivo: dataUrl(csv) }, 0);
+
+    expect(preview.mapping).toEqual({ nomeCientifico: 0, nomeVernacular: 1, tipoUso: 2 });
+    expect(preview.linhas).toEqual([
+      {
+        linha: 2,
+        planta: { nomeCientifico: ['Euterpe oleracea'], nomeVernacular: ['açaí', 'juçara'], tipoUso: ['alimentar'] },
+        isValid: true,
+        errors: []
+      },
+      {
+        linha: 3,
+        planta: { nomeCientifico: [], nomeVernacular: [], tipoUso: ['medicinal'] },
+        isValid: false,
+        errors: ['Pelo menos um nome (científico ou vernacular) é obrigatório']
+      }
+    ]);
+    expect(preview.validas).toBe(1);
+  });
+
+  test('a later request applies the chosen mapping to the parsed sheet', () => {
+    const first = previewPlantImport({ nomeArquivo: 'plantas.csv', arquivo: dataUrl(csv) }, 0);
+    const remapped = previewPlantImport({ planilha: first.planilha, nomeCientifico: '1', nomeVernacular: '-1', tipoUso: '9' }, 0);
+
+    expect(remapped.mapping).toEqual({ nomeCientifico: 1, nomeVernacular: -1, tipoUso: -1 });
+    expect(remapped.linhas[0].planta).toEqual({ nomeCientifico: ['açaí', 'juçara'], nomeVernacular: [], tipoUso: [] });
+  });
+
+  test('a tampered sheet is rejected', () => {
+    expect(previewPlantImport({ planilha: '{"cabecalho":[1]}' }, 0)).toEqual({
+      isValid: false,
+      errors: ['Os dados da planilha são inválidos; envie o arquivo novamente']
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Backpressure helper shared by the streaming writers (shared/utils/stream.js)
+ */
+
+const { PassThrough } = require('stream');
+const { waitForDrain } = require('../../src/shared/utils/stream');
+
+describe('waitForDrain', () => {
+  test('resolves on drain and removes both listeners', async () => {
+    const output = new PassThrough({ highWaterMark: 1 });
+    const closeListeners = output.listenerCount('close');
+
+    for (let i = 0; i < 100; i++) {
+      const waiting = waitForDrain(output);
+      output.emit('drain');
+      await waiting;
+    }
+
+    expect(output.listenerCount('drain')).toBe(0);
+    expect(output.listenerCount('close')).toBe(closeListeners);
+  });
+
+  test('resolves when the destination is closed', async () => {
+    const output = new PassThrough();
+    const waiting = waitForDrain(output);
+
+    output.destroy();
+    await waiting;
+
+    expect(output.listenerCount('drain')).toBe(0);
+  });
+});